@@ -2,20 +2,11 @@
 // Timeline Chart
 // =========================
 
-// Module-scope state
-let svg;                   // d3 selection for the #chart SVG
-let width;                 // current chart width (responsive)
-let DOT_CENTER_Y;          // vertical centerline for dots
-let lastClicked = null;    // last dot clicked (for styling)
-let keyEvents = [];        // subset of filteredData with keyEvent=true
-let rawData = [];          // all parsed rows from CSV
-let filteredData = [];     // rows after filters/search
-let currentXScale = null;  // keep a ref for button zoom
-let FULL_EXTENT = null;    // [minDate, maxDate] across ALL rows
-let ZOOM_LISTENERS_BOUND = false;
-
-// Layout constants control spacing and heights of major bands.
-const LAYOUT = {
+// createTimeline(container, options) builds one timeline (controls, chart, detail panel, list)
+// inside container; any number can share a page. Language, tooltip and tour are page-wide.
+
+// Default layout; options.layout overrides any of these per timeline.
+const DEFAULT_LAYOUT = {
   top: 8,
   chartHeight: 320, // vertical band for the dots
   axisGap: 20,      // vertical gap between dots and axis
@@ -26,14 +17,8 @@ const LAYOUT = {
 };
 
 
-
-// Legend drawing constants (position and spacing).
-const LEGEND = { x: 16, y: Math.max(2, LAYOUT.top - 6), dotR: 8, gapY: 20, gapX: 120 };
-
-
-// Derived y-positions for axis/annotations; total SVG height budget.
-const AXIS_Y  = LAYOUT.top + LAYOUT.chartHeight;
-const ANNO_Y0 = AXIS_Y + LAYOUT.annoGap;
+// Overview strip (density + brush) under the main chart.
+const OVERVIEW = { height: 56, barsHeight: 38, bins: 80 };
 
 // Never let the timeline get narrower than ~30 days
 const MIN_SPAN_MS = 1000 * 60 * 60 * 24 * 30;
@@ -42,6 +27,19 @@ const MIN_SPAN_MS = 1000 * 60 * 60 * 24 * 30;
 // Dot radius for event markers.
 const radius = 8;
 
+// Beeswarm packing: simulation length, pause before repacking mid-gesture, animation.
+const LAYOUT_TICKS = 150;
+const REPACK_DELAY_MS = 150;
+const LAYOUT_TRANSITION_MS = 300;
+const LAYOUT_CACHE_MAX = 40;
+
+// Above this many visible events, dots are drawn on a canvas instead of one SVG circle each.
+// ?renderer=canvas or ?renderer=svg forces either mode.
+const CANVAS_THRESHOLD = 1500;
+
+// Resolve sibling scripts (layout worker) relative to this file.
+const SCRIPT_BASE = document.currentScript?.src || "./scripts/app.js";
+
 //  “bad” topic tokens to filter out of topic lists.
 const BAD_TOPICS = new Set(["na", "n/a", "none", "", "unspecified", "-", "null"]);
 
@@ -49,29 +47,57 @@ const BAD_TOPICS = new Set(["na", "n/a", "none", "", "unspecified", "-", "null"]
 const MOBILE_MQ = "(max-width: 640px)";
 const isMobile = () => window.matchMedia(MOBILE_MQ).matches;
 
-// Colors
-const categoryColors = {
-  chemical: "#193a1d",
+// Default colours, in legend order; a category sheet or options.colors overrides any of these per timeline.
+const DEFAULT_COLORS = {
   biological: "#6cc06f",
+  chemical: "#193a1d",
   multi: "#555"
 };
 
+// Colours handed out, in order, to categories that have none of the above.
+const CATEGORY_PALETTE = ["#4e79a7", "#f28e2b", "#e15759", "#b07aa1", "#edc948", "#76b7b2", "#ff9da7", "#9c755f"];
+
 // Data
 const csvUrl = "https://docs.google.com/spreadsheets/d/e/2PACX-1vSavU5klATPLFcSRUkwYtIaZStNUpyQ03tDJrP4110ckYNpkSeEY-X78QWQLFXr4seeYZr0H7mwZ6Fk/pub?gid=0&single=true&output=csv";
 
-// Legend state
-let selectedCats = new Set(["biological", "chemical", "multi", "key"]);
+// Defaults for createTimeline() options; a host page can override any of these for every
+// timeline on it with window.TIMELINE_CONFIG.
+// The source is resolved as: ?data= param, then data-src on the container, then config.data (inline rows), then config.src.
+const DATA_CONFIG = {
+  src: csvUrl,
+  data: null,                           // inline rows (objects keyed by sheet column)
+  snapshotUrl: "./data/snapshot.json",  // fallback when the source is unreachable
+  retries: 3,                           // extra attempts after the first failure
+  retryDelay: 800,                      // ms before the first retry, doubled each time
+  methodologyUrl: "https://gpwmdcounterdisinfo.com/biological-and-chemical-weapons-timeline/methodology/",
+  categorySheet: null,                  // URL or inline rows: Category, Label, Color, Order, Shape
+  multiCategory: "multiple",            // events with several categories: "multiple", "split" or "each"
+  theme: {},                            // default { palette, scheme, contrast, shapes }; see setTheme()
+  citation: {},                         // { title, publisher } of the site in citations
+  archiveLookup: "https://web.archive.org/web/{timestamp}/{url}",  // "archived copy" for sources without Source_Archive; null for none
+  ...(window.TIMELINE_CONFIG || {})
+};
+
+// Parts of the interface a timeline shows; options.features switches them on or off.
+const DEFAULT_FEATURES = {
+  filters: true,   // topic, source, country and claim-status dropdowns
+  search: true,
+  lanes: true,
+  list: true,
+  export: true,
+  overview: true,
+  map: true,       // only shown when the data has countries
+  tour: true,
+  languages: true, // language menu (the language applies to the whole page)
+  theme: true,     // display menu: palette, light/dark, shapes, high contrast (also page-wide)
+  urlState: true   // keep filters, zoom and selection in the URL hash (one timeline per page)
+};
 
-// Formatter assigned in init()
+// Day formatter for the active language, assigned in setLocale()
 let formatDate;
 
-// =============== Utilities ===============
 
-function getTotalHeight() {
-  const noAnnoBand   = AXIS_Y + LAYOUT.bottom;
-  const withAnnoBand = AXIS_Y + LAYOUT.annoGap + LAYOUT.annoRowsMax * LAYOUT.annoRow + LAYOUT.bottom;
-  return isMobile() ? noAnnoBand : withAnnoBand;
-}
+// =============== Utilities ===============
 
 function clampDomain([start, end], [min, max]) {
   const span = +end - +start;
@@ -113,22 +139,42 @@ function escapeHtml(s) {
     .replace(/'/g, "&#039;");
 }
 
-function color(d) {
-  if (Array.isArray(d.categories) && d.categories.length > 1) return categoryColors.multi;
-  const primary = d.categories?.[0];
-  return categoryColors[primary] || "#ccc";
+// Trigger a client-side download of generated text.
+function downloadFile(filename, text, type = "text/plain") {
+  downloadBlob(filename, new Blob([text], { type: `${type};charset=utf-8` }));
 }
 
-// Build dropdown (clickable list; items ON by default)
-function buildSelectableList(dropdownEl, items) {
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Stable identifier for an event, used in deep links.
+function eventKey(d) {
+  const slug = String(d.defaultEvent ?? d.event ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${d3.timeFormat("%Y-%m-%d")(d.date)}-${slug}`;
+}
+
+// Build dropdown (clickable list; items ON by default); onChange runs after each toggle
+function buildSelectableList(dropdownEl, items, onChange, labelHtml = escapeHtml) {
   if (!dropdownEl) return;
 
   if (!dropdownEl.querySelector(".dropdown-actions")) {
     const actions = document.createElement("div");
     actions.className = "dropdown-actions";
     actions.innerHTML = `
-      <button type="button" data-action="select">Select all</button>
-      <button type="button" data-action="deselect">Deselect all</button>
+      <button type="button" data-action="select" data-i18n="dropdown.selectAll">${t("dropdown.selectAll")}</button>
+      <button type="button" data-action="deselect" data-i18n="dropdown.deselectAll">${t("dropdown.deselectAll")}</button>
     `;
     dropdownEl.appendChild(actions);
     actions.addEventListener("click", (e) => {
@@ -139,7 +185,7 @@ function buildSelectableList(dropdownEl, items) {
         opt.classList.toggle("on", on);
         opt.classList.toggle("off", !on);
       });
-      updateChart();
+      onChange();
     });
   }
 
@@ -153,7 +199,7 @@ function buildSelectableList(dropdownEl, items) {
   list.innerHTML = items.map(
     (v) => `
       <div class="dropdown-option on" data-value="${escapeHtml(v)}" tabindex="0">
-        ${escapeHtml(v)}
+        ${labelHtml(v)}
       </div>`
   ).join("");
 
@@ -172,7 +218,7 @@ list.addEventListener("click", (e) => {
   if (!opt) return;
   opt.classList.toggle("on");
   opt.classList.toggle("off");
-  updateChart();
+  onChange();
 });
 
   list.addEventListener("keydown", (e) => {
@@ -182,7 +228,7 @@ list.addEventListener("click", (e) => {
     e.preventDefault();
     opt.classList.toggle("on");
     opt.classList.toggle("off");
-    updateChart();
+    onChange();
   });
 }
 
@@ -193,994 +239,1560 @@ function getSelectedValues(dropdownEl) {
   );
 }
 
-function runTutorialWhenReady(startFn) {
-  // wait until dots exist, then start the tutorial
-  when(() => svg && !svg.selectAll("circle.dot").empty())
-    .then(() => {
-      // a tiny delay lets layout settle
-      setTimeout(() => startFn(), 0);
-    })
-    .catch((err) => console.warn("Tutorial skipped:", err));
-}
+// =============== Localization ===============
+
+// UI text is looked up with t("key", params). English lives here and fills in any key a
+// catalog lacks; other languages load from locales/<lang>.json, which also carries the d3 time
+// locale (month/day names for dates and axis ticks) and the text direction.
+const LOCALES = {
+  en: "English",
+  fr: "Français",
+  ru: "Русский",
+  ar: "العربية",
+  es: "Español"
+};
+const DEFAULT_LOCALE = "en";
+const LOCALE_URL = "./locales/";
+const LOCALE_STORAGE_KEY = "timelineLang";
+
+// d3's built-in default (en-US), restored when switching back to English.
+const EN_TIME_LOCALE = {
+  dateTime: "%x, %X",
+  date: "%-m/%-d/%Y",
+  time: "%-I:%M:%S %p",
+  periods: ["AM", "PM"],
+  days: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"],
+  shortDays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  months: ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"],
+  shortMonths: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+};
 
+// Values with { one, other, ... } are plural forms, picked by Intl.PluralRules from params.n.
+// date.* and axis.* are d3 time format specifiers.
+const MESSAGES_EN = {
+  "filters.topics": "Filter Topics",
+  "filters.sources": "Filter Sources",
+  "filters.countries": "Filter Countries",
+  "filters.status": "Filter Status",
+  "dropdown.selectAll": "Select all",
+  "dropdown.deselectAll": "Deselect all",
+
+  "search.placeholder": "Search (e.g. topic:sarin after:2013)",
+  "search.help": "Words match event names and notes. Also: \"exact phrase\", AND / OR / NOT, -word, topic:, source:, country:, status:, category:, key:true, date:1990..2001, after:2015, before:2001",
+  "search.prev": "Previous match (Shift+Enter)",
+  "search.next": "Next match (Enter)",
+  "search.suggestions": "Search suggestions",
+  "search.noMatches": "No matches",
+  "search.position": "{i} of {n}",
+  "search.matches": { one: "{n} match", other: "{n} matches" },
+  "search.didYouMean": "Searched \"{term}\" as text — did you mean {field}:?",
+  "search.missingQuote": "Missing closing quote",
+  "search.needsValue": "\"{field}:\" needs a value",
+  "search.badRange": "Can't read date \"{value}\" — use 1990, 1990-05, 1990-05-12 or 1990..2001",
+  "search.badDate": "Can't read date \"{value}\" after \"{field}:\"",
+  "search.keyValue": "\"key:\" expects true or false",
+  "search.endsEarly": "Query ends too early — add a search term",
+  "search.missingParen": "Missing \")\"",
+  "search.unexpected": "Unexpected {token}",
+  "query.event": "event name contains",
+  "query.notes": "notes contain",
+  "query.topic": "topic contains",
+  "query.source": "source contains",
+  "query.country": "country or place contains",
+  "query.status": "verified, disputed, unverified or debunked",
+  "query.category": "a category name, or multi",
+  "query.key": "true or false",
+  "query.date": "year, month, day or range, e.g. 1990..2001",
+  "query.after": "on or after a date, e.g. 2015",
+  "query.before": "before a date, e.g. 2001",
+
+  "lanes.label": "Group events into lanes",
+  "lanes.none": "One band",
+  "lanes.category": "Lanes by category",
+  "lanes.topic": "Lanes by topic (top 6)",
+  "lanes.source": "Lanes by source (top 6)",
+  "lanes.other": "Other",
+  "lanes.otherTopics": "Other topics",
+  "lanes.otherSources": "Other sources",
+
+  "list.button": "List view",
+  "list.label": "Events as a table",
+  "list.caption": "Timeline events",
+  "list.expand": "Expand",
+  "list.date": "Date",
+  "list.event": "Event",
+  "list.categories": "Categories",
+  "list.topics": "Topics",
+  "list.source": "Source",
+  "list.key": "Key event",
+  "list.empty": "No events match the current filters.",
+  "list.notesFor": "Notes and source for {event}",
+  "list.noNotes": "No notes.",
+
+  "export.button": "Export",
+  "export.visibleOnly": "Visible date range only",
+  "export.csv": "Events as CSV",
+  "export.json": "Events as JSON",
+  "export.ics": "Events as calendar (.ics)",
+  "export.image": "Chart image",
+  "export.titlePlaceholder": "Title (optional)",
+  "export.scale": "PNG scale",
+  "export.svg": "Chart as SVG",
+  "export.png": "Chart as PNG",
+  "export.attribution": "GPWMD Counter Disinfo · Biological and Chemical Weapons Timeline · gpwmdcounterdisinfo.com",
+  "export.exported": "exported {date}",
+  "cite.button": "Cite",
+  "cite.style": "Citation style",
+  "cite.text": "Citation",
+  "cite.copy": "Copy",
+  "cite.copied": "Copied to clipboard",
+  "cite.copyFailed": "Couldn't copy — select the text and copy it manually",
+  "cite.bibliography": "Bibliography",
+  "cite.copyAll": "Copy bibliography",
+  "cite.download": "Download bibliography",
+  "cite.copiedAll": { one: "{n} reference copied", other: "{n} references copied" },
+  "cite.nothing": "No events to cite",
+  "cite.apa": "APA (7th ed.)",
+  "cite.chicago": "Chicago (17th ed.)",
+  "cite.mla": "MLA (9th ed.)",
+  "cite.bibtex": "BibTeX",
+  "cite.ris": "RIS (Zotero, EndNote)",
+  "summary.categories": "Categories: {list}",
+  "summary.none": "none",
+  "summary.keyHidden": "Key events hidden",
+  "summary.topics": "Topics",
+  "summary.sources": "Sources",
+  "summary.countries": "Countries",
+  "summary.status": "Status",
+  "summary.values": "{label}: {values}",
+  "summary.some": "{label}: {on} of {all}",
+  "summary.search": "Search: \"{q}\"",
+
+  "theme.button": "Display",
+  "theme.palette": "Colours",
+  "palette.default": "Standard",
+  "palette.okabe-ito": "Colour-blind safe (Okabe–Ito)",
+  "palette.tol-bright": "Colour-blind safe (Tol bright)",
+  "theme.scheme": "Appearance",
+  "scheme.auto": "Match system",
+  "scheme.light": "Light",
+  "scheme.dark": "Dark",
+  "theme.shapes": "A different shape per category",
+  "theme.contrast": "High contrast",
+
+  "actions.tutorial": "Tutorial",
+  "actions.methodology": "Methodology",
+  "actions.language": "Language",
+  "zoom.controls": "Zoom controls",
+  "zoom.in": "Zoom in",
+  "zoom.out": "Zoom out",
+  "chart.label": "Timeline of events",
+  "chart.help": "Tab to the timeline, then use the arrow keys to move between events in date order, Home and End for the first and last event, Enter to show details, P to pin an event for comparison, and plus or minus to zoom.",
+  "overview.label": "Overview of all events; drag to choose the visible date range",
+  "map.panel": "Events by country",
+  "map.label": "Map of events by country; choose a country to filter the timeline",
+  "map.count": { one: "{country}: {n} event", other: "{country}: {n} events" },
+  "map.showing": "Showing {countries} · click again to show all countries",
+  "map.placed": "{placed} of {n} events have a country",
+
+  "detail.title": "Details",
+  "detail.collapse": "Collapse details",
+  "detail.toggle": "Collapse/expand",
+  "detail.empty": "Select a dot to view more info here.",
+  "detail.pin": "Pin",
+  "detail.unpin": "Unpin",
+  "detail.pinHint": "Keep this event in the comparison stack (or shift-click a dot)",
+  "detail.date": "Date:",
+  "detail.categories": "Categories:",
+  "detail.topics": "Topics:",
+  "detail.source": "Source:",
+  "detail.sources": "Sources:",
+  "detail.location": "Location:",
+  "detail.keyEvent": "Key Event:",
+  "detail.status": "Claim status:",
+  "detail.claimOrigin": "Claim origin:",
+  "detail.debunkedBy": "Debunked by:",
+  "detail.notes": "Notes:",
+  "detail.related": "Related:",
+  "detail.hiddenByFilters": "hidden by filters",
+  "detail.documentation": "Documentation",
+  "detail.archived": "archived copy",
+  "detail.archiveLookup": "Look up an archived copy of this page",
+  "detail.accessed": "accessed {date}",
+  "common.yes": "Yes",
+  "common.no": "No",
+
+  "pins.label": "Pinned events",
+  "pins.header": "Pinned ({n})",
+  "pins.clear": "Clear",
+  "pins.hidden": "Hidden by the current filters",
+  "pins.unpin": "Unpin",
+  "pins.unpinEvent": "Unpin {event}",
+  "pins.pinned": "Pinned {event}. {n} pinned.",
+  "pins.unpinned": "Unpinned {event}. {n} pinned.",
+  "pins.cleared": "Pinned events cleared.",
+  "gap.later": "{span} later",
+  "gap.aboutLater": "about {span} later",
+  "gap.sameDay": "same day",
+  "gap.sameMonth": "same month",
+  "gap.sameYear": "same year",
+
+  "status.verified": "Verified",
+  "status.disputed": "Disputed",
+  "status.unverified": "Unverified",
+  "status.debunked": "Debunked",
+  "status.none": "No status",
+
+  "category.biological": "Biological",
+  "category.chemical": "Chemical",
+  "category.multi": "Multiple categories",
+  "category.none": "Uncategorised",
+  "legend.key": "Key event",
+  "agg.events": { one: "{n} event", other: "{n} events" },
+  "agg.zoom": "Click to zoom in",
+  "agg.label": "{events}, {period}. Zoom in",
+  "a11y.keyEvent": "key event",
+  "a11y.shown": { one: "{n} event shown", other: "{n} events shown" },
+  "event.untitled": "(No event name)",
+
+  "data.cached": "⚠️ Showing cached data from {when} — the live sheet could not be reached.",
+  "data.earlierSnapshot": "an earlier snapshot",
+  "data.retry": "Retry",
+  "data.failed": "⚠️ Data failed to load.",
+
+  "date.day": "%d %B %Y",
+  "date.dayShort": "%d %b %Y",
+  "date.week": "week of %d %b %Y",
+  "date.month": "%B %Y",
+  "date.monthShort": "%b",
+  "date.monthYearShort": "%b %Y",
+  "date.year": "%Y",
+  "precision.month": "month only",
+  "precision.year": "year only",
+  "axis.weekday": "%a %d",
+  "axis.week": "%b %d",
+  "axis.month": "%B",
+  "axis.year": "%Y",
+
+  "tour.back": "Back",
+  "tour.next": "Next",
+  "tour.skip": "Skip tour",
+  "tour.zoom.title": "Scroll to zoom in",
+  "tour.zoom.text": "Scroll over the timeline with your mouse to zoom in and out.",
+  "tour.details.title": "Click for additional information",
+  "tour.details.text": "Click on a dot to highlight the event and find additional details in the side panel.",
+  "tour.topics.title": "Filter by topic",
+  "tour.topics.text": "Use the Topic filter to select or deselect events.",
+  "tour.sources.title": "Filter by source",
+  "tour.sources.text": "Use the Source filter to select or deselect events based on their source.",
+  "tour.search.title": "Search",
+  "tour.search.text": "Type here to quickly search the data.",
+  "tour.legend.title": "Legend",
+  "tour.legend.text": "Toggle categories and key events on and off by clicking items in the legend.",
+  "tour.annotations.title": "Annotations",
+  "tour.annotations.text": "Key events are labeled below the axis. Click a label to jump to that event."
+};
 
-// =============== Init & boot ===============
+let locale = DEFAULT_LOCALE;
+let messages = MESSAGES_EN;
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+const localeCatalogs = new Map([[DEFAULT_LOCALE, { dir: "ltr", time: EN_TIME_LOCALE, messages: MESSAGES_EN }]]);
+const localeListeners = new Set(); // one per timeline, called with { redraw } after a switch
 
-function bindZoomButtons() {
-  if (ZOOM_LISTENERS_BOUND) return;
-  ZOOM_LISTENERS_BOUND = true;
-  document.getElementById("zoomInBtn")?.addEventListener("click", () => zoomBy(1.25));
-  document.getElementById("zoomOutBtn")?.addEventListener("click", () => zoomBy(0.8));
+function t(key, params = {}) {
+  let msg = messages[key] ?? MESSAGES_EN[key] ?? key;
+  if (typeof msg === "object") msg = msg[pluralRules.select(params.n ?? 0)] ?? msg.other;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (params[name] ?? m));
 }
 
-function init() {
-  formatDate = d3.timeFormat("%d %B %Y");
-
-  const container = document.getElementById("container");
-  if (!container) {
-    console.error("Missing #container");
-    return;
-  }
-
-  // Ensure there is an <svg id="chart">. If #chart is a <div>, create an <svg> inside it.
-  let chartEl = document.getElementById("chart");
-
-  // If #chart does not exist, create the SVG inside #container
-  if (!chartEl) {
-    chartEl = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    chartEl.setAttribute("id", "chart");
-    container.prepend(chartEl);
-  } else if (chartEl.tagName.toLowerCase() !== "svg") {
-    // If #chart exists but is not an <svg>, create one inside it
-    const svgEl = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    chartEl.appendChild(svgEl);
-    chartEl = svgEl; // point to the real <svg>
-  }
-
-  // Dimensions
-  width = Math.max(320, (container.clientWidth || 0) - 40);
-DOT_CENTER_Y = LAYOUT.top + LAYOUT.chartHeight / 2; // LAYOUT.top + LAYOUT.chartHeight / 2 (keep in sync with constants)
-
-  // Create d3 selection
-  svg = d3.select(chartEl)
-    .attr("viewBox", `0 0 ${width} ${getTotalHeight()}`)
-    .attr("preserveAspectRatio", "xMidYMid meet");
-
-  // Load CSV
-  d3.csv(csvUrl, (d) => {
-    const parsedDate = new Date(d.Date);
-    if (isNaN(parsedDate)) return null;
-
-    const displayCategories = (d.Category || "").split(",").map(s => s.trim()).filter(Boolean);
-    const displayTopics     = (d.Topic || "").split(",").map(s => s.trim()).filter(Boolean);
-
-    const categories = displayCategories.map(c => c.toLowerCase());
-    const topicsNorm = displayTopics.map(t => String(t).trim().toLowerCase());
-
-    const displaySource = (d["Source"] || "").toString().trim();
-
-    return {
-      date: parsedDate,
-      displayDate: d["Display_Date"] ? String(d["Display_Date"]).trim() : "",
-      event: d.Event || "(No event name)",
-      notes: d["Source/Notes"] || "",
-
-      displaySource,
-      sourceUrl: d["Source_URL"] ? String(d["Source_URL"]).trim() : "",
-
-      categories,
-      category: (d.Category || "").trim().toLowerCase(),
-      topics: topicsNorm,
-      validTopics: topicsNorm.filter(t => !BAD_TOPICS.has(t)),
+// Display label for a category key ("biological", "multi", …); unknown keys pass through.
+function categoryLabel(key) {
+  return MESSAGES_EN[`category.${key}`] ? t(`category.${key}`) : key;
+}
 
-      displayCategories,
-      displayTopics,
+// Axis ticks like d3's default multi-scale format, with patterns from the catalog.
+function timeTickFormat(date) {
+  const key = d3.timeMonth(date) < date ? (d3.timeWeek(date) < date ? "axis.weekday" : "axis.week")
+    : d3.timeYear(date) < date ? "axis.month"
+    : "axis.year";
+  return d3.timeFormat(t(key))(date);
+}
 
-      keyEvent: (d["Key Event"] || "").toLowerCase() === "true"
-    };
-  })
-  .then((data) => {
-    rawData = data.filter(Boolean);
-    FULL_EXTENT = d3.extent(rawData, d => d.date); 
-    setupFilters();
-    updateChart();
-  })
-  
-  .catch((err) => {
-    console.error("CSV load failed:", err?.message || err, err);
-    d3.select("#detailContent").html(
-      `<p style="color:#b00">⚠️ Data failed to load.<br>
-        <small>${(err && (err.message || err.status || err.toString())) || ""}</small>
-       </p>`
-    );
-  });
+// #lang in the link, then the last choice on this device, then the browser's languages.
+function detectLocale() {
+  const fromLink = new URLSearchParams(window.location.hash.replace(/^#/, "")).get("lang");
+  let stored = null;
+  try { stored = localStorage.getItem(LOCALE_STORAGE_KEY); } catch (_) { /* storage blocked */ }
+  const browser = (navigator.languages || [navigator.language]).map(l => String(l || "").slice(0, 2).toLowerCase());
+  return [fromLink, stored, ...browser].find(l => LOCALES[l]) || DEFAULT_LOCALE;
+}
 
-  // Resize
-  window.addEventListener("resize", () => {
-    clearTimeout(window.__resizeTimer__);
-    window.__resizeTimer__ = setTimeout(resizeChart, 200);
+function loadLocaleCatalog(lang) {
+  if (localeCatalogs.has(lang)) return Promise.resolve(localeCatalogs.get(lang));
+  return d3.json(`${LOCALE_URL}${lang}.json`).then((catalog) => {
+    localeCatalogs.set(lang, catalog);
+    return catalog;
   });
+}
 
-  // Mobile viewBox height updates
-  window.matchMedia(MOBILE_MQ).addEventListener("change", () => {
-    if (svg) svg.attr("viewBox", `0 0 ${width} ${getTotalHeight()}`);
-    updateChart();
+// Switch language; resolves once the page has been redrawn (or stays put if the catalog fails).
+function setLocale(lang, { redraw = true } = {}) {
+  if (!LOCALES[lang]) lang = DEFAULT_LOCALE;
+  return loadLocaleCatalog(lang).then((catalog) => {
+    locale = lang;
+    messages = catalog.messages || {};
+    pluralRules = new Intl.PluralRules(lang);
+    d3.timeFormatDefaultLocale(catalog.time || EN_TIME_LOCALE);
+    formatDate = d3.timeFormat(t("date.day"));
+
+    document.documentElement.lang = lang;
+    document.documentElement.dir = catalog.dir || "ltr";
+    try { localStorage.setItem(LOCALE_STORAGE_KEY, lang); } catch (_) { /* storage blocked */ }
+
+    translateStaticText();
+    localeListeners.forEach(listener => listener({ redraw }));
+    const pop = document.getElementById("tourPopover");
+    if (redraw && pop && pop.style.display === "block") showTourStep(tourIndex);
+  }).catch((err) => {
+    console.warn(`Language "${lang}" unavailable:`, err?.message || err);
   });
-
-  bindZoomButtons();
 }
 
-// DOM ready & d3 available
-function when(cond, timeout = 10000, every = 25) {
-  return new Promise((resolve, reject) => {
-    const t0 = Date.now();
-    const id = setInterval(() => {
-      if (cond()) { clearInterval(id); resolve(); }
-      else if (Date.now() - t0 > timeout) { clearInterval(id); reject(new Error("timeout")); }
-    }, every);
+// Static markup: data-i18n="key" sets the text, data-i18n-attr="attr:key;attr:key" attributes.
+function translateStaticText(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
   });
-}
-function whenDomReady() {
-  return new Promise((res) => {
-    if (document.readyState === "loading") {
-      document.addEventListener("DOMContentLoaded", () => res(), { once: true });
-    } else res();
+  root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+    el.dataset.i18nAttr.split(";").forEach((pair) => {
+      const [attr, key] = pair.split(":").map(s => s.trim());
+      if (attr && key) el.setAttribute(attr, t(key));
+    });
   });
 }
-whenDomReady()
-  .then(() => when(() => window.d3 && d3.csv))
-  .then(() => init())
-  .catch((e) => console.error("Startup failed:", e));
-
 
+// Event_<lang> / Source/Notes_<lang> columns replace the default name and notes when present.
+function localizeEvents(data) {
+  data.forEach((d) => {
+    const own = d.translations[locale];
+    d.event = own?.event || d.defaultEvent || t("event.untitled");
+    d.notes = own?.notes || d.defaultNotes;
+  });
+}
 
-whenDomReady().then(() => {
-  // keep clicks inside menus from closing them
-  topicMenu?.addEventListener('click', (e) => e.stopPropagation());
-  sourceMenu?.addEventListener('click', (e) => e.stopPropagation());
-});
+function setupLanguageSwitcher(select) {
+  if (!select || select.__bound) return;
+  select.__bound = true;
+  select.innerHTML = Object.entries(LOCALES)
+    .map(([code, name]) => `<option value="${code}" lang="${code}">${escapeHtml(name)}</option>`)
+    .join("");
+  select.value = locale;
+  select.addEventListener("change", () => setLocale(select.value));
+}
 
+// =============== Data loading ===============
 
-// Enable manual tour start
-document.getElementById("helpTourBtn")?.addEventListener("click", () => {
-  // if the tour was already shown and closed, allow re-run:
-  TOUR_STARTED = false;
-  startTour();
-});
+// --- Dates: precision ("day" | "month" | "year") and optional ranges ---
 
-// =============== Filters UI ===============
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
 
-function setupFilters() {
-  const toTitleCase = (s) =>
-    s.replace(/\b([\p{L}\p{N}]+(?:[-’'][\p{L}\p{N}]+)*)\b/gu,
-              (w) => w.charAt(0).toUpperCase() + w.slice(1));
+function makeDate(year, month = 0, day = 1) {
+  const dt = new Date(2000, month, day);
+  dt.setFullYear(year); // keep years < 100 literal
+  return dt;
+}
 
-  // Topics
-  const topics = Array.from(new Set(rawData.flatMap(d => d.validTopics).filter(Boolean))).sort();
-  const topicDropdown = document.getElementById("topicDropdown");
-  if (topicDropdown) {
-    const itemsForUI = topics.map(toTitleCase);
-    topicDropdown.__valueLookup = new Map(itemsForUI.map((label, i) => [label, topics[i]]));
-    buildSelectableList(topicDropdown, itemsForUI);
-    
+// One date expression -> { date, precision } (null if unparseable).
+function parseDatePart(raw) {
+  const s = String(raw ?? "").trim().replace(/^(?:c\.|ca\.|circa)\s*/i, "");
+  if (!s) return null;
+  let m;
+  if ((m = s.match(/^(\d{3,4})$/))) return { date: makeDate(+m[1]), precision: "year" };
+  if ((m = s.match(/^(\d{4})[-/](\d{1,2})$/)) && +m[2] >= 1 && +m[2] <= 12) {
+    return { date: makeDate(+m[1], +m[2] - 1), precision: "month" };
   }
-
-  // Sources
-  const sources = Array.from(new Set(rawData.map(d => d.displaySource).filter(Boolean))).sort();
-  const sourceDropdown = document.getElementById("sourceDropdown");
-  if (sourceDropdown) {
-    buildSelectableList(sourceDropdown, sources);
-    
+  if ((m = s.match(/^(\d{1,2})\/(\d{4})$/)) && +m[1] >= 1 && +m[1] <= 12) {
+    return { date: makeDate(+m[2], +m[1] - 1), precision: "month" };
   }
-
-  // Other controls
-  document.getElementById("keyEventFilter")?.addEventListener("change", updateChart);
-  document.getElementById("search")?.addEventListener("input", updateChart);
+  if ((m = s.match(/^([A-Za-z]+)\.?,?\s+(\d{4})$/))) {
+    const month = MONTH_NAMES.indexOf(m[1].slice(0, 3).toLowerCase());
+    if (month >= 0) return { date: makeDate(+m[2], month), precision: "month" };
+  }
+  const dt = new Date(s);
+  return isNaN(dt) ? null : { date: dt, precision: "day" };
 }
 
-// =============== Core filter + redraw ===============
-
-function updateChart() {
-  // --- dropdown nodes ---
-  const topicDropdown  = document.getElementById("topicDropdown");
-  const sourceDropdown = document.getElementById("sourceDropdown");
-
-  // --- selected labels safely ---
-  const topicLabels = getSelectedValues(topicDropdown) || [];
-  let selectedTopics = topicLabels;
+// First instant after the period a date stands for.
+function periodEnd(date, precision) {
+  if (precision === "year") return d3.timeYear.offset(date, 1);
+  if (precision === "month") return d3.timeMonth.offset(date, 1);
+  return d3.timeDay.offset(date, 1);
+}
 
-  // map UI labels (Title Case) -> canonical tokens (lowercase)
-  if (topicDropdown && topicDropdown.__valueLookup instanceof Map) {
-    selectedTopics = topicLabels
-      .map(label => topicDropdown.__valueLookup.get(label) ?? label)
-      .filter(Boolean);
+// Date column (+ optional End_Date) -> { date, precision, rangeEnd, spanEnd }.
+// Accepts "1915", "April 1915", "1915-04", full dates and ranges like "1980–1988".
+// spanEnd is set for ranges and imprecise dates; null for a single exact day.
+function parseEventDate(raw, rawEnd) {
+  const s = String(raw ?? "").trim();
+  let startPart = s;
+  let endPart = String(rawEnd ?? "").trim();
+
+  const years = s.match(/^(\d{4})\s*[-–—]\s*(\d{4})$/);
+  const parts = s.split(/\s+(?:[-–—]|to)\s+|\s*[–—]\s*/);
+  if (years) {
+    startPart = years[1];
+    endPart = endPart || years[2];
+  } else if (parts.length === 2) {
+    startPart = parts[0];
+    endPart = endPart || parts[1];
   }
-  selectedTopics = Array.from(new Set(selectedTopics)); // de-dupe
 
-  let selectedSources = getSelectedValues(sourceDropdown) || [];
+  const start = parseDatePart(startPart);
+  if (!start) return null;
 
-  // --- fallbacks if menus are empty/not built ---
-  const allTopics  = Array.from(new Set(rawData.flatMap(d => (d.validTopics||[])).filter(Boolean)));
-  const allSources = Array.from(new Set(rawData.map(d => d.displaySource).filter(Boolean)));
+  let rangeEnd = endPart ? parseDatePart(endPart) : null;
+  if (rangeEnd && +rangeEnd.date < +start.date) rangeEnd = null;
 
-  const topicListCount  = topicDropdown  ? topicDropdown.querySelectorAll(".dropdown-option").length  : 0;
-  const sourceListCount = sourceDropdown ? sourceDropdown.querySelectorAll(".dropdown-option").length : 0;
-  const useTopicFilter  = topicListCount  > 0;
-  const useSourceFilter = sourceListCount > 0;
+  const spanEnd = rangeEnd
+    ? periodEnd(rangeEnd.date, rangeEnd.precision)
+    : start.precision !== "day" ? periodEnd(start.date, start.precision) : null;
 
-  if (!useTopicFilter)  selectedTopics  = allTopics;
-  if (!useSourceFilter) selectedSources = allSources;
+  return { date: start.date, precision: start.precision, rangeEnd, spanEnd };
+}
 
-  // --- toggles & search ---
-  const onlyKeyEvents = !!document.getElementById("keyEventFilter")?.checked;
-  const searchTerm = (document.getElementById("search")?.value || "").trim().toLowerCase();
+// Human-readable date honouring precision and ranges (Display_Date wins).
+function formatEventDate(d) {
+  if (d.displayDate) return d.displayDate;
+  const fmt = (date, precision) =>
+    precision === "day" ? formatDate(date) : d3.timeFormat(t(`date.${precision}`))(date);
+  const start = fmt(d.date, d.precision);
+  return d.rangeEnd ? `${start} – ${fmt(d.rangeEnd.date, d.rangeEnd.precision)}` : start;
+}
 
-  // --- legend categories ---
-  const categoryKeys = ["biological", "chemical", "multi"];
-  const activeCats   = categoryKeys.filter(k => selectedCats.has(k));
+// Source, Source_URL, Source_Archive and Source_Accessed hold one or more entries separated by
+// ";" or line breaks, paired by position; numbered columns (Source_2, Source_URL_2, …) add one each.
+const SOURCE_FIELDS = { Source: "name", Source_URL: "url", Source_Archive: "archiveUrl", Source_Accessed: "accessed" };
+
+function parseSources(row) {
+  const groups = new Map(); // column suffix ("", "_2", …) -> { name: [..], url: [..], … }
+  Object.entries(row).forEach(([column, value]) => {
+    const m = /^(Source(?:_URL|_Archive|_Accessed)?)(_\d+)?$/.exec(column);
+    if (!m || value == null) return;
+    const suffix = m[2] || "";
+    const values = suffix ? [String(value).trim()] : String(value).split(/;|\r?\n/).map(v => v.trim());
+    groups.set(suffix, { ...groups.get(suffix), [SOURCE_FIELDS[m[1]]]: values });
+  });
 
-  if (activeCats.length === 0 && !selectedCats.has("key")) {
-    filteredData = [];
-    keyEvents = [];
-    drawChart([]);
-    return;
-  }
+  return [...groups]
+    .sort(([a], [b]) => (+a.slice(1) || 1) - (+b.slice(1) || 1))
+    .flatMap(([suffix, f]) => d3.range(d3.max(Object.values(f), v => v.length)).map(i => ({
+      name: f.name?.[i] || "",
+      url: f.url?.[i] || "",
+      archiveUrl: f.archiveUrl?.[i] || "",
+      accessed: f.accessed?.[i] || "",
+      column: suffix
+    })))
+    .filter(s => s.name || s.url);
+}
 
-  const isAllTopicsSelected  = useTopicFilter  ? (selectedTopics.length  === topicListCount)  : true;
-  const isAllSourcesSelected = useSourceFilter ? (selectedSources.length === sourceListCount) : true;
+// Row accessor: one sheet row -> one event object (null drops the row).
+function parseRow(d) {
+  const when = parseEventDate(d.Date, d["End_Date"]);
+  if (!when) return null;
 
-  // --- main filter ---
-  const data = rawData.filter((d) => {
-    const isMulti = (d.categories?.length || 0) > 1;
+  const displayCategories = (d.Category || "").split(",").map(s => s.trim()).filter(Boolean);
+  const displayTopics     = (d.Topic || "").split(",").map(s => s.trim()).filter(Boolean);
 
-    // 1) category (legend)
-    let catMatch = false;
-    if (activeCats.length > 0) {
-      catMatch = isMulti ? activeCats.includes("multi")
-                         : (d.categories || []).some(c => activeCats.includes(c));
-    }
+  const categories = displayCategories.map(c => c.toLowerCase());
+  const topicsNorm = displayTopics.map(t => String(t).trim().toLowerCase());
 
-    // 2) allow if not key or key is enabled
-    const keyOk = selectedCats.has("key") || !d.keyEvent;
+  const sources = parseSources(d);
+  const sourceNames = Array.from(new Set(sources.map(s => s.name).filter(Boolean)));
 
-    // 3) topic
-    let topicMatch = true;
-    if (useTopicFilter) {
-      if (selectedTopics.length === 0) topicMatch = false;
-      else if (!isAllTopicsSelected) {
-        const evTopics = d.validTopics || [];
-        topicMatch = evTopics.length > 0 && evTopics.some(t => selectedTopics.includes(t));
-      }
-    }
+  // per-language name/notes columns, e.g. Event_fr and Source/Notes_fr
+  const translations = {};
+  Object.entries(d).forEach(([column, value]) => {
+    const m = /^(Event|Source\/Notes)_([a-z]{2})$/i.exec(column);
+    if (!m || !String(value ?? "").trim()) return;
+    const lang = m[2].toLowerCase();
+    translations[lang] = { ...translations[lang], [m[1] === "Event" ? "event" : "notes"]: String(value).trim() };
+  });
 
-    // 4) source
-    let sourceMatch = true;
-    if (useSourceFilter) {
-      if (selectedSources.length === 0) sourceMatch = false;
-      else if (!isAllSourcesSelected) {
-        sourceMatch = !!d.displaySource && selectedSources.includes(d.displaySource);
-      }
-    }
+  const countries = Array.from(new Set(
+    String(d.Country ?? "").split(",").map(normalizeCountry).filter(Boolean)
+  ));
+  const lat = parseFloat(d.Lat ?? d.Latitude);
+  const lon = parseFloat(d.Lon ?? d.Lng ?? d.Longitude);
+  const coords = Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? [lon, lat] : null;
+
+  return {
+    date: when.date,
+    precision: when.precision,
+    rangeEnd: when.rangeEnd,
+    spanEnd: when.spanEnd,
+    displayDate: d["Display_Date"] ? String(d["Display_Date"]).trim() : "",
+    event: d.Event || t("event.untitled"),
+    notes: d["Source/Notes"] || "",
+    defaultEvent: d.Event || "",
+    defaultNotes: d["Source/Notes"] || "",
+    translations,
+
+    sources,
+    sourceNames,
+    displaySource: sourceNames.join("; "),
+    sourceUrl: sources.find(s => s.url)?.url || "",  // the first document, for exports and citations
+
+    categories,
+    category: (d.Category || "").trim().toLowerCase(),
+    topics: topicsNorm,
+    validTopics: topicsNorm.filter(t => !BAD_TOPICS.has(t)),
+
+    displayCategories,
+    displayTopics,
+
+    keyEvent: (d["Key Event"] || "").toLowerCase() === "true",
+
+    countries,
+    location: String(d.Location ?? "").trim(),
+    coords,
+
+    claimStatus: normalizeClaimStatus(d.Claim_Status),
+    displayClaimStatus: String(d.Claim_Status ?? "").trim(),
+    claimOrigin: String(d.Claim_Origin ?? "").trim(),
+    debunkedBy: String(d.Debunked_By ?? "").trim(),
+
+    id: String(d.ID ?? "").trim(),
+    relatedRefs: String(d.Related ?? "").split(RELATED_SEPARATOR).map(s => s.trim()).filter(Boolean),
+
+    row: d // original sheet row, for exports
+  };
+}
 
-    // 5) key-only toggle
-    const keyMatch = !onlyKeyEvents || d.keyEvent;
+// --- Related events ---
+
+// Related column: references separated by ";" or new lines. Each one is a value from the ID
+// column, an event key as used in links (2013-08-21-ghouta-attack), or an event name with an
+// optional date in brackets, e.g. "Ghouta attack (2013-08-21)" or "Unit 731 operations (1942)".
+const RELATED_SEPARATOR = /\s*(?:;|\n)\s*/;
+
+// Sets d.related (links in both directions) and d.unresolvedRelated on every event.
+function linkRelatedEvents(events) {
+  const norm = s => String(s).trim().toLowerCase();
+  const byId = new Map();
+  const byKey = new Map(events.map(d => [eventKey(d), d]));
+  const byName = d3.group(events, d => norm(d.event));
+  events.forEach((d) => {
+    if (d.id && !byId.has(norm(d.id))) byId.set(norm(d.id), d);
+    d.related = [];
+    d.unresolvedRelated = [];
+  });
 
-    // 6) text search
-    const s = searchTerm;
-    const searchMatch = !s ||
-      (d.event && d.event.toLowerCase().includes(s)) ||
-      (d.notes && d.notes.toLowerCase().includes(s));
+  const resolve = (ref) => {
+    const r = norm(ref);
+    if (byId.has(r)) return byId.get(r);
+    if (byKey.has(r)) return byKey.get(r);
+
+    const m = ref.match(/^(.*?)\s*\(([^()]+)\)$/);
+    const when = m ? parseDatePart(m[2]) : null;
+    const candidates = (byName.get(norm(m && when ? m[1] : ref)) || []).filter(d =>
+      !when || (+d.date >= +when.date && +d.date < +periodEnd(when.date, when.precision)));
+    if (candidates.length > 1) return "Ambiguous related event (add a date or use the ID column)";
+    return candidates[0] || "Related event not found";
+  };
 
-    return catMatch && keyOk && topicMatch && sourceMatch && keyMatch && searchMatch;
+  const link = (a, b) => {
+    if (a !== b && !a.related.includes(b)) a.related.push(b);
+  };
+  events.forEach((d) => {
+    d.relatedRefs.forEach((ref) => {
+      const target = resolve(ref);
+      if (typeof target === "string") {
+        d.unresolvedRelated.push({ ref, reason: target });
+        return;
+      }
+      link(d, target);
+      link(target, d);
+    });
   });
-
-  filteredData = data;
-  keyEvents = data.filter(d => d.keyEvent);
-  drawChart(data);
+  events.forEach(d => d.related.sort((a, b) => a.date - b.date));
 }
 
+// --- Countries ---
+
+// Spelling variants -> one display name (anything else is kept as written).
+const COUNTRY_ALIASES = {
+  "usa": "United States", "us": "United States", "u.s.": "United States", "u.s.a.": "United States",
+  "united states of america": "United States", "america": "United States",
+  "uk": "United Kingdom", "u.k.": "United Kingdom", "britain": "United Kingdom", "great britain": "United Kingdom",
+  "england": "United Kingdom", "scotland": "United Kingdom", "wales": "United Kingdom", "northern ireland": "United Kingdom",
+  "russian federation": "Russia", "ussr": "Soviet Union", "u.s.s.r.": "Soviet Union",
+  "dprk": "North Korea", "democratic people's republic of korea": "North Korea",
+  "rok": "South Korea", "republic of korea": "South Korea", "korea": "South Korea",
+  "burma": "Myanmar", "ivory coast": "Côte d'Ivoire", "czech republic": "Czechia",
+  "drc": "Democratic Republic of the Congo", "dr congo": "Democratic Republic of the Congo",
+  "swaziland": "Eswatini", "macedonia": "North Macedonia", "türkiye": "Turkey", "turkiye": "Turkey",
+  "islamic republic of iran": "Iran", "syrian arab republic": "Syria", "uae": "United Arab Emirates"
+};
 
+// Display name -> name in the bundled world geometry, where they differ.
+const MAP_COUNTRY_NAMES = {
+  "United States": "United States of America",
+  "Soviet Union": "Russia",
+  "Democratic Republic of the Congo": "Dem. Rep. Congo",
+  "Dominican Republic": "Dominican Rep.",
+  "Central African Republic": "Central African Rep.",
+  "Bosnia and Herzegovina": "Bosnia and Herz.",
+  "North Macedonia": "Macedonia",
+  "South Sudan": "S. Sudan",
+  "Equatorial Guinea": "Eq. Guinea",
+  "Western Sahara": "W. Sahara",
+  "Solomon Islands": "Solomon Is.",
+  "Eswatini": "eSwatini"
+};
 
-// --- helpers
-const $ = (sel, ctx = document) => ctx.querySelector(sel);
-
-// prevent accidental form submits from #controls
-$('#controls')?.addEventListener('submit', (e) => e.preventDefault());
-
-// elements
-const topicBtn   = $('#topicDropdownBtn');
-const topicMenu  = $('#topicDropdown');
-const sourceBtn  = $('#sourceDropdownBtn');
-const sourceMenu = $('#sourceDropdown');
+function normalizeCountry(raw) {
+  const name = String(raw ?? "").trim().replace(/\s+/g, " ");
+  if (!name) return "";
+  return COUNTRY_ALIASES[name.toLowerCase()] || name;
+}
 
-const detail     = $('.detail-view');
-const detailTgl  = detail?.querySelector('.detail-toggle');
+function mapCountryName(country) {
+  return MAP_COUNTRY_NAMES[country] || country;
+}
 
-// ensure buttons don't submit forms
-topicBtn && (topicBtn.type = 'button');
-sourceBtn && (sourceBtn.type = 'button');
+// ?data= comes from whoever shares the link, so keep it to this site or published Google Sheets.
+function isAllowedDataParam(src) {
+  try {
+    const url = new URL(src, window.location.href);
+    return url.origin === window.location.origin ||
+      (url.hostname === "docs.google.com" && url.pathname.startsWith("/spreadsheets/"));
+  } catch (_) {
+    return false;
+  }
+}
 
-// toggle handlers
-topicBtn?.addEventListener('click', (e) => {
-  e.preventDefault(); e.stopPropagation();
-  topicMenu?.classList.toggle('show');
-  sourceMenu?.classList.remove('show');
-  topicBtn.setAttribute('aria-expanded', topicMenu?.classList.contains('show'));
-});
+// Fetch raw rows from an inline array, a JSON file ([...] or { updated, rows: [...] }) or a CSV.
+function fetchRows(source) {
+  const columnsOf = (rows) => rows.columns || Array.from(new Set(rows.flatMap(r => Object.keys(r))));
 
-sourceBtn?.addEventListener('click', (e) => {
-  e.preventDefault(); e.stopPropagation();
-  sourceMenu?.classList.toggle('show');
-  topicMenu?.classList.remove('show');
-  sourceBtn.setAttribute('aria-expanded', sourceMenu?.classList.contains('show'));
-});
+  if (Array.isArray(source)) return Promise.resolve({ rows: source, columns: columnsOf(source), updated: null });
 
-// Close menus only when clicking/tapping OUTSIDE the menus or their buttons
-document.addEventListener('click', (e) => {
-  const inside = e.target.closest('#topicDropdown, #sourceDropdown, #topicDropdownBtn, #sourceDropdownBtn');
-  if (inside) return; // don't close if the tap/click started inside
-  topicMenu?.classList.remove('show');
-  sourceMenu?.classList.remove('show');
-  topicBtn?.setAttribute('aria-expanded', 'false');
-  sourceBtn?.setAttribute('aria-expanded', 'false');
-}, { passive: true });
-
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape') {
-    topicMenu?.classList.remove('show');
-    sourceMenu?.classList.remove('show');
-    topicBtn?.setAttribute('aria-expanded', 'false');
-    sourceBtn?.setAttribute('aria-expanded', 'false');
+  if (/\.json(?:$|[?#])/i.test(source)) {
+    return d3.json(source).then((json) => {
+      const rows = Array.isArray(json) ? json : json?.rows;
+      if (!Array.isArray(rows)) throw new Error("JSON data must be an array of rows or { rows: [...] }");
+      return { rows, columns: columnsOf(rows), updated: json.updated ? new Date(json.updated) : null };
+    });
   }
-});
-// keep clicks inside menus from closing them
-topicMenu?.addEventListener('click', (e) => e.stopPropagation());
-sourceMenu?.addEventListener('click', (e) => e.stopPropagation());
-
-// detail view minimize / expand
-detailTgl?.addEventListener('click', (e) => {
-  e.preventDefault();
-  detail?.classList.toggle('collapsed');
-});
-
-
-// =============== Drawing & interactions ===============
+  return d3.csv(source).then((rows) => ({ rows, columns: rows.columns, updated: null }));
+}
 
-// Helper used by wheel/drag to apply new domain and refresh positions
-function setDomainAndRedraw(x, xAxisG, dotsGroup, data, start, end, { repack }) {
-  // update domain + axis
-  x.domain([start, end]);
-  currentXScale = x;
-  xAxisG.call(d3.axisBottom(x).ticks(6));
+function withRetry(task, retries, delay) {
+  return task().catch((err) => {
+    if (retries <= 0) throw err;
+    console.warn(`Data load failed, retrying in ${delay}ms:`, err?.message || err);
+    return new Promise((res) => setTimeout(res, delay))
+      .then(() => withRetry(task, retries - 1, delay * 2));
+  });
+}
 
-  if (repack) {
-    // re-run simulation against the new time scale
-    const simulation = d3.forceSimulation(data)
-      .force("x", d3.forceX(d => x(d.date)).strength(1))
-      .force("y", d3.forceY(DOT_CENTER_Y))
-      .force("collide", d3.forceCollide(radius + 1))
-      .stop();
-    for (let i = 0; i < 150; i++) simulation.tick();
+// =============== Categories ===============
+
+// Dot shapes a category can use (d3 symbols, drawn with the same area as the default circle).
+const DOT_SHAPES = {
+  circle: d3.symbolCircle,
+  square: d3.symbolSquare,
+  diamond: d3.symbolDiamond,
+  triangle: d3.symbolTriangle,
+  star: d3.symbolStar,
+  cross: d3.symbolCross,
+  wye: d3.symbolWye
+};
 
-    // refresh caches after repack
-    data.forEach(d => {
-      d.ySim = d.y;
-      d.xOffset = (d.x - x(d.date)) || 0;
+// How an event with several categories is drawn and filtered:
+//   multiple  one "Multiple categories" legend entry and colour (the original behaviour)
+//   split     pie-sliced dot; shown while any of its categories is on
+//   each      listed under each of its categories; coloured by the first one
+const MULTI_CATEGORY_MODES = ["multiple", "split", "each"];
+
+// Rows of a category sheet -> Map(key -> { label, labels, color, order, shape }).
+// Only Category is required; Label_<code> columns translate the label.
+function parseCategorySheet(rows) {
+  const config = new Map();
+  rows.forEach((r) => {
+    const key = String(r.Category ?? "").trim().toLowerCase();
+    if (!key) return;
+    const labels = {};
+    Object.keys(r).forEach((col) => {
+      const m = /^Label_([a-z]{2})$/i.exec(col);
+      if (m && String(r[col] ?? "").trim()) labels[m[1].toLowerCase()] = String(r[col]).trim();
     });
-  }
-
-  // always update screen positions from scale + cached offsets
-  dotsGroup.selectAll("circle")
-    .attr("cx", d => x(d.date) + (d.xOffset || 0))
-    .attr("cy", d => d.ySim ?? d.y);
-
-  // redraw annotations for the new domain
-  drawAnnotations(x, data);
-}
-
-function enableTouchZoomPan(svg, x, xAxisG, dotsGroup, data) {
-  // Track active pointers
-  const active = new Map(); // id -> {x,y}
-  let baseDomain = null;    // domain snapshot at gesture start
-  let panLastX = null;      // last x for 1-finger pan
-  let pinchStartDist = null;
-  let pinchStartMidX = null;
-
-  const extent = FULL_EXTENT || d3.extent(rawData, d => d.date);
-  const min = +extent[0], max = +extent[1];
-
-  const onPointerDown = (e) => {
-    svg.node().setPointerCapture(e.pointerId);
-    active.set(e.pointerId, { x: e.clientX, y: e.clientY });
-    if (active.size === 1) {
-      // 1 finger: start pan
-      panLastX = e.clientX;
-      baseDomain = x.domain().map(d => +d);
-    } else if (active.size === 2) {
-      // 2 fingers: start pinch
-      const pts = [...active.values()];
-      pinchStartDist = Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y);
-      pinchStartMidX = (pts[0].x + pts[1].x) / 2;
-      baseDomain = x.domain().map(d => +d);
-    }
-    e.preventDefault();
-  };
+    const shape = String(r.Shape ?? "").trim().toLowerCase();
+    const order = parseFloat(r.Order);
+    config.set(key, {
+      label: String(r.Label ?? "").trim() || null,
+      labels,
+      color: String(r.Color ?? r.Colour ?? "").trim() || null,
+      order: Number.isFinite(order) ? order : null,
+      shape: DOT_SHAPES[shape] ? shape : null
+    });
+  });
+  return config;
+}
 
-  const onPointerMove = (e) => {
-    if (!active.has(e.pointerId)) return;
-    active.set(e.pointerId, { x: e.clientX, y: e.clientY });
-
-    // 2-finger pinch zoom
-    if (active.size === 2 && pinchStartDist) {
-      const pts = [...active.values()];
-      const dist = Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y);
-      if (dist <= 0) return;
-
-      const k = pinchStartDist / dist; // >1 means zoom out
-      const [d0, d1] = baseDomain;
-      const midClientX = (pts[0].x + pts[1].x) / 2;
-      const bbox = svg.node().getBoundingClientRect();
-      const localX = midClientX - bbox.left;            // svg-local x
-      const anchorDate = x.invert(localX);              // date under fingers
-      const a = +anchorDate;
-
-      // Compute proposed new domain about the anchor
-      let newStart = new Date(a - (a - d0) * k);
-      let newEnd   = new Date(a + (d1 - a) * k);
-
-      // Clamp to dataset & apply
-      [newStart, newEnd] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
-      const repack = Math.abs((+newEnd - +newStart) - (d1 - d0)) > 5;
-      setDomainAndRedraw(x, xAxisG, dotsGroup, data, newStart, newEnd, { repack });
-      e.preventDefault();
-      return;
-    }
+// SVG path of a dot shape centred on 0,0, sized like a circle of radius r.
+function symbolPath(shape, r) {
+  const cache = symbolPath.cache || (symbolPath.cache = new Map());
+  const k = `${shape}:${r}`;
+  if (!cache.has(k)) cache.set(k, d3.symbol(DOT_SHAPES[shape] || d3.symbolCircle, Math.PI * r * r)() || "M0,0");
+  return cache.get(k);
+}
 
-    // 1-finger pan
-    if (active.size === 1 && panLastX != null) {
-      const dxPx = e.clientX - panLastX;
-      panLastX = e.clientX;
+// Equal pie slices in a unit box (for objectBoundingBox patterns), one per colour.
+function pieSlices(colors) {
+  const arc = d3.arc().innerRadius(0).outerRadius(0.75);
+  return d3.pie().value(1).sort(null)(colors)
+    .map(a => ({ color: a.data, path: arc(a) }));
+}
 
-      // convert pixel delta → time delta using current scale
-      const dt = x.invert(0) - x.invert(dxPx);
-      const [s0, e0] = x.domain().map(d => +d);
-      let newStart = new Date(s0 + dt);
-      let newEnd   = new Date(e0 + dt);
+// =============== Claim status ===============
 
-      [newStart, newEnd] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
-      setDomainAndRedraw(x, xAxisG, dotsGroup, data, newStart, newEnd, { repack: false });
-      e.preventDefault();
-    }
-  };
+// Claim_Status values, in filter order. glyph is the mark drawn on the event's dot (a path for
+// a dot of radius 1); aliases are other spellings a sheet may use.
+const CLAIM_STATUSES = {
+  verified: {
+    glyph: "M-0.45,0.02L-0.12,0.34L0.46,-0.3",
+    aliases: ["confirmed", "true", "accurate"]
+  },
+  disputed: {
+    glyph: "M-0.26,-0.22A0.26,0.26 0 1 1 0.06,0.04L0,0.16M0,0.4V0.41",
+    aliases: ["contested", "mixed", "partly true", "misleading"]
+  },
+  unverified: {
+    glyph: "M0.3,0A0.3,0.3 0 1 1 -0.3,0A0.3,0.3 0 1 1 0.3,0Z",
+    aliases: ["unconfirmed", "alleged", "unproven", "pending"]
+  },
+  debunked: {
+    glyph: "M-0.36,-0.36L0.36,0.36M0.36,-0.36L-0.36,0.36",
+    aliases: ["false", "fake", "refuted", "disproven", "fabricated"]
+  }
+};
 
-  const onPointerUp = (e) => {
-    if (svg.node().hasPointerCapture?.(e.pointerId)) {
-      svg.node().releasePointerCapture(e.pointerId);
-    }
-    active.delete(e.pointerId);
-    if (active.size < 2) {
-      pinchStartDist = null;
-      pinchStartMidX = null;
-    }
-    if (active.size === 0) {
-      panLastX = null;
-      baseDomain = null;
-    }
-    e.preventDefault();
-  };
+// Claim_Status cell -> status key; other values are kept (lower-cased), blank -> "".
+function normalizeClaimStatus(raw) {
+  const v = String(raw ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!v || CLAIM_STATUSES[v]) return v;
+  return Object.keys(CLAIM_STATUSES).find(k => CLAIM_STATUSES[k].aliases.includes(v)) || v;
+}
 
-  svg
-    .on("pointerdown", onPointerDown, { passive: false })
-    .on("pointermove", onPointerMove, { passive: false })
-    .on("pointerup", onPointerUp, { passive: false })
-    .on("pointercancel", onPointerUp, { passive: false })
-    .on("pointerleave", onPointerUp, { passive: false });
+// Small dot with the status glyph, for the filter list and the detail panel.
+function claimStatusIcon(key) {
+  const glyph = CLAIM_STATUSES[key]?.glyph;
+  return `<svg class="status-icon" viewBox="-1.1 -1.1 2.2 2.2" aria-hidden="true">
+    <circle r="1"></circle>${glyph ? `<path d="${glyph}"></path>` : ""}</svg>`;
 }
 
+// Status keys found in the data, in filter order, plus "none" when some events have no status.
+// Empty when no event has one.
+function claimStatusKeys(data) {
+  const found = new Set(data.map(d => d.claimStatus));
+  if (![...found].some(Boolean)) return [];
+  const known = Object.keys(CLAIM_STATUSES).filter(k => found.has(k));
+  const other = uniqueSorted([...found].filter(k => k && !CLAIM_STATUSES[k]));
+  return [...known, ...other, ...(found.has("") ? ["none"] : [])];
+}
 
+// Claim_Origin / Debunked_By: a link when the cell is a URL, text otherwise.
+function referenceHtml(value) {
+  if (!/^https?:\/\//i.test(value)) return escapeHtml(value);
+  let label = value;
+  try { label = new URL(value).hostname.replace(/^www\./, ""); } catch (_) { /* not a URL after all */ }
+  return `<a href="${escapeHtml(value)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`;
+}
 
-function drawChart(data) {
-  // clear dynamic layers
-  svg.selectAll(".annotations").remove();
-  svg.selectAll(".dots").remove();
+// =============== Themes ===============
 
-  if (!data.length) {
-    // keep axis/legend if any
-    return;
+// Category palettes. "default" keeps colours from options.colors and the category sheet; the
+// colour-blind-safe ones (Okabe & Ito; Paul Tol's "bright") replace them, handed out in legend order,
+// and ring key events in black or white instead of red. ui overrides THEMES colours per scheme.
+const PALETTES = {
+  default: {
+    colors: CATEGORY_PALETTE,
+    named: { ...DEFAULT_COLORS, none: "#ccc" },
+    namedDark: { biological: "#8fd694", chemical: "#3d9a47", multi: "#9e9e9e" }
+  },
+  "okabe-ito": {
+    colors: ["#0072b2", "#e69f00", "#009e73", "#cc79a7", "#56b4e9", "#d55e00", "#f0e442"],
+    named: { multi: "#999999", none: "#cccccc" },
+    ui: { light: { key: "#000" }, dark: { key: "#fff" } }
+  },
+  "tol-bright": {
+    colors: ["#4477aa", "#ee6677", "#228833", "#ccbb44", "#66ccee", "#aa3377"],
+    named: { multi: "#bbbbbb", none: "#dddddd" },
+    ui: { light: { key: "#000" }, dark: { key: "#fff" } }
   }
+};
 
-  // 1) scale + axis
-  const x = d3.scaleTime()
-    .domain(d3.extent(data, d => d.date))
-    .range([40, width - 40]);
+// With shapes on, categories without a sheet Shape take these in legend order.
+const SHAPE_ORDER = ["circle", "square", "triangle", "diamond", "star", "cross", "wye"];
+
+// Interface colours, for the SVG and canvas drawing and (as --tl-* properties on the root element)
+// the stylesheet. Its fallbacks are the light theme, so only colours that differ get set.
+const THEMES = {
+  light: {
+    bg: "#fff", fg: "#000", text: "#333", muted: "#666", faint: "#999",
+    surface: "#fff", surfaceAlt: "#f6f7f9", panel: "rgba(249,249,249,0.5)",
+    border: "#ccc", divider: "#eee",
+    accent: "#6cc06f", accentBg: "#e6f4ea", accentBorder: "#c8e6c9", accentText: "#193a1d",
+    highlight: "#e0f7fa", highlightStroke: "#00796b", focus: "#1f77b4",
+    key: "red", selected: "black", dotOutline: "none", ringFill: "#ddd",
+    annoFill: "#f2f2f2", annoStroke: "#aaa", annoLine: "#888", annoLineActive: "#555",
+    tooltipBg: "rgba(0, 0, 0, 0.7)", tooltipFg: "#fff",
+    error: "#b00", errorBg: "#fff5f5", warningBg: "#fff8e1", warningFg: "#5d4200",
+    mark: "#fff3a0", markActive: "#ffe082", statusMark: "#fff", statusHalo: "rgba(0, 0, 0, 0.55)"
+  },
+  dark: {
+    bg: "#15181c", fg: "#e8eaed", text: "#d7dbe0", muted: "#a3abb5", faint: "#6f7883",
+    surface: "#1f2328", surfaceAlt: "#272c32", panel: "rgba(31,35,40,0.85)",
+    border: "#4a525c", divider: "#343a41",
+    accent: "#7ed48b", accentBg: "#20352a", accentBorder: "#2f5a3a", accentText: "#c3ebc8",
+    highlight: "#133d42", highlightStroke: "#4dd0c4", focus: "#6cb4ff",
+    key: "#ff6b6b", selected: "#fff", dotOutline: "none", ringFill: "#3a4048",
+    annoFill: "#272c32", annoStroke: "#59626d", annoLine: "#6f7883", annoLineActive: "#c9ced4",
+    tooltipBg: "rgba(240, 242, 245, 0.95)", tooltipFg: "#111",
+    error: "#ff8a80", errorBg: "#3a1f1f", warningBg: "#3a3217", warningFg: "#f3e0a6",
+    mark: "#6b5c00", markActive: "#8a7400", statusMark: "#fff", statusHalo: "rgba(0, 0, 0, 0.55)"
+  }
+};
 
-  let xAxisG = svg.select(".x-axis");
-  currentXScale = x;
-  if (xAxisG.empty()) {
-    xAxisG = svg.append("g")
-      .attr("class", "x-axis")
-      .attr("transform", `translate(0,${AXIS_Y})`);
+// High contrast: solid black/white text and lines, outlined dots, heavier key-event rings.
+const HIGH_CONTRAST = {
+  light: {
+    fg: "#000", text: "#000", muted: "#222", faint: "#555", surfaceAlt: "#fff", panel: "#fff",
+    border: "#000", divider: "#000", accent: "#000", accentBorder: "#000", accentText: "#000",
+    highlightStroke: "#000", focus: "#0000ee", key: "#d00000", selected: "#000", dotOutline: "#000", ringFill: "#fff",
+    annoFill: "#fff", annoStroke: "#000", annoLine: "#000", annoLineActive: "#000",
+    tooltipBg: "#000", tooltipFg: "#fff", statusHalo: "#000"
+  },
+  dark: {
+    bg: "#000", fg: "#fff", text: "#fff", muted: "#e6e6e6", faint: "#bdbdbd", surface: "#000",
+    surfaceAlt: "#000", panel: "#000", border: "#fff", divider: "#fff", accent: "#ffff00",
+    accentBorder: "#fff", accentText: "#ffff00", highlightStroke: "#ffff00", focus: "#ffff00",
+    key: "#ff5c5c", selected: "#fff", dotOutline: "#fff", ringFill: "#000",
+    annoFill: "#000", annoStroke: "#fff", annoLine: "#fff", annoLineActive: "#ffff00",
+    tooltipBg: "#fff", tooltipFg: "#000", statusHalo: "#000"
   }
-  xAxisG.call(d3.axisBottom(x).ticks(6));
+};
 
-  // 2) pack dots
-  const simulation = d3.forceSimulation(data)
-    .force("x", d3.forceX(d => x(d.date)).strength(1))
-    .force("y", d3.forceY(DOT_CENTER_Y))
-    .force("collide", d3.forceCollide(radius + 1))
-    .stop();
-  for (let i = 0; i < 150; i++) simulation.tick();
+const THEME_STORAGE_KEY = "timelineTheme";
+const DARK_MQ = "(prefers-color-scheme: dark)";
+const SCHEMES = ["auto", "light", "dark"];
+
+// Page-wide, like the language: { palette, scheme: "auto" | "light" | "dark", contrast, shapes }
+let theme = { palette: "default", scheme: "auto", contrast: false, shapes: false };
+let themeColors = THEMES.light;  // resolved interface colours (see THEMES)
+const themeListeners = new Set(); // one per timeline, called with { redraw } after a change
+
+// Defaults from config.theme and the system, then the last choices on this device.
+function detectTheme() {
+  let stored = {};
+  try { stored = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY)) || {}; } catch (_) { /* storage blocked */ }
+  const prefersContrast = window.matchMedia?.("(prefers-contrast: more)").matches || false;
+  return { palette: "default", scheme: "auto", contrast: prefersContrast, shapes: false, ...DATA_CONFIG.theme, ...stored };
+}
 
-  data.forEach(d => { if (d.viewed === undefined) d.viewed = false; });
+function activeScheme() {
+  if (theme.scheme !== "auto") return theme.scheme;
+  return window.matchMedia?.(DARK_MQ).matches ? "dark" : "light";
+}
 
-  // cache per-node offsets from ideal time position & the simulated y
-data.forEach(d => {
-  d.ySim = d.y;                         // store simulated vertical position
-  d.xOffset = (d.x - x(d.date)) || 0;   // horizontal offset from ideal x
-});
+// Colours for category keys the palette names; the rest are handed out from palette.colors.
+function paletteFor() {
+  const palette = PALETTES[theme.palette] || PALETTES.default;
+  const named = activeScheme() === "dark" ? { ...palette.named, ...palette.namedDark } : palette.named;
+  return { colors: palette.colors, named, custom: palette === PALETTES.default };
+}
 
+// Change any of palette / scheme / contrast / shapes for the whole page and redraw the timelines.
+function setTheme(changes = {}, { redraw = true, save = true } = {}) {
+  theme = { ...theme, ...changes };
+  if (!PALETTES[theme.palette]) theme.palette = "default";
+  if (!SCHEMES.includes(theme.scheme)) theme.scheme = "auto";
+  theme.contrast = !!theme.contrast;
+  theme.shapes = !!theme.shapes;
+  if (save) {
+    try { localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(theme)); } catch (_) { /* storage blocked */ }
+  }
 
-  // 3) tooltip (singleton)
-  let tooltip = d3.select("body").select(".tooltip");
-  if (tooltip.empty()) {
-    tooltip = d3.select("body").append("div")
-      .attr("class", "tooltip")
-      .style("opacity", 0);
-  }
-
-  // 4) dots
-  const dotsGroup = svg.append("g").attr("class", "dots");
-
-  dotsGroup.selectAll("circle")
-    .data(data)
-    .join("circle")
-    .classed("dot", true)
-    .attr("cx", d => x(d.date) + (d.xOffset || 0))
-    .attr("cy", d => d.ySim ?? d.y)
-    .attr("r", radius)
-    .attr("fill", d => color(d))
-    .attr("opacity", d => (d.viewed ? 0.4 : 0.8))
-    .attr("stroke", d => (d.keyEvent ? "red" : "none"))
-    .attr("stroke-width", d => (d.keyEvent ? 2 : 0))
-    .on("mouseenter touchstart", (event, d) => {
-      const noteText = d.notes.length > 200 ? d.notes.slice(0, 200) + "…" : d.notes;
-      tooltip
-        .style("display", "block")
-        .style("opacity", 0.9)
-        .html(
-          `<strong>${d.event}</strong><br/>
-           <p style="max-width:250px;white-space:normal;word-wrap:break-word;margin:0;">${noteText}</p>`
-        )
-        .style("left", event.pageX + 10 + "px")
-        .style("top", event.pageY - 28 + "px");
-    })
-    .on("mouseleave touchend", () => {
-      tooltip.style("opacity", 0).style("display", "none");
-    })
-    .on("click", (event, d) => {
-      if (lastClicked && lastClicked !== d) lastClicked.viewed = true;
-      lastClicked = d;
-
-      dotsGroup.selectAll("circle")
-        .attr("opacity", c => (c === lastClicked ? 1 : c.viewed ? 0.4 : 0.8))
-        .attr("stroke", c => (c.keyEvent ? "red" : "none"))
-        .attr("stroke-width", c => (c.keyEvent ? 2 : 0))
-        .attr("stroke-dasharray", null);
-
-      d3.select(event.currentTarget)
-        .attr("stroke", "black")
-        .attr("stroke-width", 3)
-        .attr("stroke-dasharray", "4,2")
-        .attr("opacity", 1);
-
-      const dateHtml = d.displayDate ? d.displayDate : formatDate(d.date);
-      const docLink = d.sourceUrl
-        ? `<a href="${d.sourceUrl}" target="_blank" rel="noopener">Documentation</a>`
-        : "—";
-
-      d3.select("#detailContent").html(`
-        <h3>${d.event}</h3>
-        <p><strong>Date:</strong> ${dateHtml}</p>
-        <p><strong>Categories:</strong> ${
-          Array.isArray(d.displayCategories) && d.displayCategories.length
-            ? d.displayCategories.join(", ")
-            : "—"
-        }</p>
-        <p><strong>Topics:</strong> ${
-          Array.isArray(d.displayTopics) && d.displayTopics.length
-            ? d.displayTopics.join(", ")
-            : "—"
-        }</p>
-        <p><strong>Source:</strong> ${d.displaySource || "—"}</p>
-        <p>${docLink}</p>
-      `);
-    });
+  const scheme = activeScheme();
+  themeColors = { ...THEMES[scheme], ...(theme.contrast ? HIGH_CONTRAST[scheme] : {}), ...PALETTES[theme.palette].ui?.[scheme] };
+  const html = document.documentElement;
+  html.dataset.theme = scheme;
+  html.dataset.contrast = theme.contrast ? "more" : "normal";
+  html.style.colorScheme = scheme;
+  Object.entries(themeColors).forEach(([name, value]) => {
+    const prop = `--tl-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    if (value === THEMES.light[name]) html.style.removeProperty(prop);
+    else html.style.setProperty(prop, value);
+  });
 
+  themeListeners.forEach(listener => listener({ redraw }));
+}
 
-  
-  
-  
-  // 5) mouse-wheel zoom (disabled on touch)
-  const IS_TOUCH = "ontouchstart" in window || navigator.maxTouchPoints > 0;
-  if (!IS_TOUCH) {
-    svg.on("wheel", (event) => {
-      event.preventDefault();
-
-      const mouseX = d3.pointer(event)[0];
-      const anchorDate = x.invert(mouseX);
-      const [d0, d1] = x.domain().map(d => +d);
-      const extent = FULL_EXTENT || d3.extent(filteredData, d => d.date);
-      const min       = +extent[0], max = +extent[1];
-
-      const factor = event.deltaY > 0 ? 1.1 : 0.9;
-      const k = Math.max(0.0001, Math.min(1000, factor));
-
-      const a = +anchorDate;
-      const newStart = new Date(a - (a - d0) * k);
-      const newEnd   = new Date(a + (d1 - a) * k);
-
-      let [start2, end2] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
-      if ((+end2 - +start2) <= MIN_SPAN_MS) {
-   // don’t zoom in further
-   return;
- }
+// A system switch between light and dark counts while the scheme is "auto".
+function watchSystemScheme() {
+  window.matchMedia?.(DARK_MQ).addEventListener?.("change", () => {
+    if (theme.scheme === "auto") setTheme({}, { save: false });
+  });
+}
 
-      const atFullExtent  = d0 === min && d1 === max;
-      const wantFullExtent = +start2 === min && +end2 === max;
-      if (atFullExtent && wantFullExtent && event.deltaY > 0) return;
+// Display menu: palette and scheme selects, shapes and high-contrast checkboxes.
+function setupThemeMenu(menu) {
+  if (!menu || menu.__bound) return;
+  menu.__bound = true;
+  const field = name => menu.querySelector(`[data-theme-field="${name}"]`);
+  field("palette")?.addEventListener("change", e => setTheme({ palette: e.target.value }));
+  field("scheme")?.addEventListener("change", e => setTheme({ scheme: e.target.value }));
+  field("shapes")?.addEventListener("change", e => setTheme({ shapes: e.target.checked }));
+  field("contrast")?.addEventListener("change", e => setTheme({ contrast: e.target.checked }));
+  syncThemeMenu(menu);
+}
 
-      const oldSpan = d1 - d0;
-      const newSpan = +end2 - +start2;
-      const repack  = Math.abs(newSpan - oldSpan) > 5;
+function syncThemeMenu(menu) {
+  if (!menu) return;
+  const field = name => menu.querySelector(`[data-theme-field="${name}"]`);
+  if (field("palette")) field("palette").value = theme.palette;
+  if (field("scheme")) field("scheme").value = theme.scheme;
+  if (field("shapes")) field("shapes").checked = theme.shapes;
+  if (field("contrast")) field("contrast").checked = theme.contrast;
+}
 
-      setDomainAndRedraw(x, xAxisG, dotsGroup, data, start2, end2, { repack });
-    });
-  } else {
-    svg.on("wheel", null);
-  }
+// =============== Data quality ===============
 
-// 6) drag to pan (keeps dot clicks working)
-{
-  let lastX = null;
+const DEBUG = new URLSearchParams(window.location.search).get("debug") === "1";
+const KEY_EVENT_VALUES = new Set(["", "true", "false"]);
 
-  const dragBehavior = d3.drag()
-    // Start a drag unless the pointer began on a dot, legend, or annotation box
-    .filter((event) => {
-      const t = event.target;
-      if (!t || !t.closest) return true;
-      // don’t steal click from dots, legend, or anno labels/boxes
-      return !t.closest("circle.dot, .legend, .annotation-box, .key-event-label, a");
-    })
-    .on("start", (event) => {
-      lastX = event.x;
-      svg.style("cursor", "grabbing");
-    })
-    .on("drag", (event) => {
-      if (lastX == null) return;
-      const dxPx = event.x - lastX;
-      lastX = event.x;
+// Absolute http(s) links only; sheet cells may hold anything.
+function isWebUrl(value) {
+  try { return /^https?:$/.test(new URL(value).protocol); } catch (_) { return false; /* invalid */ }
+}
 
-      // Convert pixel delta to time delta
-      const dt = x.invert(0) - x.invert(dxPx);
+// Check raw rows against their parsed events (null = dropped) and list every problem.
+// Row numbers match the sheet: row 1 is the header. Categories are only checked when a
+// category sheet lists the known ones.
+function validateRows(rows, parsed, knownCategories = null) {
+  const issues = [];
+  const seen = new Map(); // "event|date" -> first sheet row
+  const ids = new Map();  // ID -> first sheet row
+  const add = (i, column, value, reason, dropped = false) =>
+    issues.push({ row: i + 2, column, value: String(value ?? ""), reason, dropped });
+
+  rows.forEach((r, i) => {
+    const d = parsed[i];
+    if (!d) {
+      add(i, "Date", r.Date, r.Date ? "Unparseable date" : "Missing date", true);
+      return;
+    }
 
-      // Shift current domain by dt, clamp to FULL_EXTENT (or filtered if not set)
-      const [s0, e0] = x.domain().map(d => +d);
-      let newStart = new Date(s0 + dt);
-      let newEnd   = new Date(e0 + dt);
+    if (!String(r.Event || "").trim()) add(i, "Event", r.Event, "Blank event name");
 
-      const extent = FULL_EXTENT || d3.extent(filteredData, d => d.date);
-      [newStart, newEnd] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
+    if (String(r["End_Date"] ?? "").trim()) {
+      const end = parseDatePart(r["End_Date"]);
+      if (!end) add(i, "End_Date", r["End_Date"], "Unparseable end date (ignored)");
+      else if (+end.date < +d.date) add(i, "End_Date", r["End_Date"], "End date before start date (ignored)");
+    }
 
-      setDomainAndRedraw(x, xAxisG, svg.select(".dots"), data, newStart, newEnd, { repack: false });
-    })
-    .on("end", () => {
-      lastX = null;
-      svg.style("cursor", "grab");
+    if (!d.categories.length) add(i, "Category", r.Category, "Missing category");
+    if (knownCategories) {
+      d.categories
+        .filter(c => !knownCategories.has(c))
+        .forEach(c => add(i, "Category", c, "Category missing from the category sheet"));
+    }
+
+    d.topics
+      .filter(t => BAD_TOPICS.has(t))
+      .forEach(t => add(i, "Topic", t, "Placeholder topic (ignored)"));
+
+    d.sources.forEach((s) => {
+      if (s.url && !isWebUrl(s.url)) add(i, `Source_URL${s.column}`, s.url, "Invalid URL");
+      if (s.archiveUrl && !isWebUrl(s.archiveUrl)) add(i, `Source_Archive${s.column}`, s.archiveUrl, "Invalid URL");
+      if (s.archiveUrl && !s.url) add(i, `Source_Archive${s.column}`, s.archiveUrl, "Archive link without a Source_URL");
+      if (s.accessed && !parseDatePart(s.accessed)) add(i, `Source_Accessed${s.column}`, s.accessed, "Unparseable access date");
     });
 
-  svg.call(dragBehavior).style("cursor", "grab");
-}
+    if (d.claimStatus && !CLAIM_STATUSES[d.claimStatus]) {
+      add(i, "Claim_Status", d.displayClaimStatus, `Unknown claim status (expected ${Object.keys(CLAIM_STATUSES).join(", ")})`);
+    }
+
+    const keyRaw = String(r["Key Event"] ?? "").trim().toLowerCase();
+    if (!KEY_EVENT_VALUES.has(keyRaw)) add(i, "Key Event", r["Key Event"], "Key Event is not true/false (treated as false)");
+
+    if (d.id) {
+      const id = d.id.toLowerCase();
+      if (ids.has(id)) add(i, "ID", d.id, `Duplicate ID (also on row ${ids.get(id)})`);
+      else ids.set(id, i + 2);
+    }
+    d.unresolvedRelated.forEach(x => add(i, "Related", x.ref, x.reason));
 
+    const dupKey = `${d.event.toLowerCase()}|${+d.date}`;
+    if (seen.has(dupKey)) add(i, "Event", d.event, `Duplicate of row ${seen.get(dupKey)} (same event and date)`);
+    else seen.set(dupKey, i + 2);
+  });
 
-  // enable touch pinch + 1-finger pan
-if (navigator.maxTouchPoints > 0) {
-  enableTouchZoomPan(svg, x, xAxisG, svg.select(".dots"), data);
+  return issues;
 }
-  // 7) annotations & legend
-  drawAnnotations(x, data);
-  drawLegend();
-// --- Start fully zoomed out once ---
-if (!drawChart._didInitialFit && FULL_EXTENT) {
-  const dotsGroup = svg.select(".dots");      // reuse the group just created
-  const xAxisG    = svg.select(".x-axis");
-  setDomainAndRedraw(
-    x, xAxisG, dotsGroup, data,
-    FULL_EXTENT[0],
-    FULL_EXTENT[1],
-    { repack: false } // keep the initial packing; just stretch the scale
+
+function issuesToCsv(issues) {
+  return d3.csvFormat(
+    issues.map(x => ({ Row: x.row, Column: x.column, Value: x.value, Reason: x.reason, Dropped: x.dropped })),
+    ["Row", "Column", "Value", "Reason", "Dropped"]
   );
-  drawChart._didInitialFit = true;
 }
 
 
+// =============== Search query language ===============
+//
+//   sarin "nerve agent"            free text (event name or notes), AND-ed
+//   syria OR iraq, NOT anthrax     boolean operators (upper case), -word, ( )
+//   topic:sarin source:"OPCW"      field filters (substring, case-insensitive)
+//   category:biological key:true status:debunked
+//   date:1990..2001 date:2013-08   overlapping a year / month / day / range
+//   after:2015 before:2001         start date on/after, or before, a date
+
+// Hints come from the query.<field> messages; values(data) lists known values for autocomplete.
+const QUERY_FIELDS = {
+  event:    {},
+  notes:    {},
+  topic:    { values: data => uniqueSorted(data.flatMap(d => d.validTopics)) },
+  source:   { values: data => uniqueSorted(data.flatMap(d => d.sourceNames)) },
+  country:  { values: data => uniqueSorted(data.flatMap(d => d.countries)) },
+  status:   { values: data => uniqueSorted(data.map(d => d.claimStatus)) },
+  category: { values: data => [...uniqueSorted(data.flatMap(d => d.categories)), "multi"] },
+  key:      { values: () => ["true", "false"] },
+  date:     {},
+  after:    {},
+  before:   {}
+};
 
+function uniqueSorted(values) {
+  return Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
 }
 
-function zoomBy(factor, anchorDate) {
-  if (!currentXScale || !filteredData.length) return;
+function tokenizeQuery(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === "(" || c === ")") { tokens.push({ type: c }); i++; continue; }
+    if (c === "-" && input[i + 1] && !/[\s)]/.test(input[i + 1])) { tokens.push({ type: "NOT" }); i++; continue; }
+
+    let field = null;
+    let near = null;
+    const prefix = /^([a-z]+):/i.exec(input.slice(i));
+    if (prefix && QUERY_FIELDS[prefix[1].toLowerCase()]) {
+      field = prefix[1].toLowerCase();
+      i += prefix[0].length;
+    } else if (prefix) {
+      // not a field (a URL, "Note: …"): the whole word stays free text
+      near = nearestQueryField(prefix[1].toLowerCase());
+    }
+
+    let value = "";
+    let quoted = false;
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end < 0) throw new Error(t("search.missingQuote"));
+      value = input.slice(i + 1, end);
+      quoted = true;
+      i = end + 1;
+    } else {
+      while (i < input.length && !/[\s()]/.test(input[i])) value += input[i++];
+    }
 
-  const x = currentXScale;
-  const [d0, d1] = x.domain();
-  const center = anchorDate ? +anchorDate : (+d0 + +d1) / 2;
+    if (!field && !quoted && /^(AND|OR|NOT)$/.test(value)) { tokens.push({ type: value }); continue; }
+    if (field && !value) throw new Error(t("search.needsValue", { field }));
+    tokens.push({ type: "TERM", field, value, ...(near && { near }) });
+  }
+  return tokens;
+}
 
-  // Proposed new span
-  const span = (d1 - d0) / factor;
-  let newStart = new Date(center - span / 2);
-  let newEnd   = new Date(center + span / 2);
+// A field name one typo away (two for longer names) from `name`, else null.
+function nearestQueryField(name) {
+  const distance = (a, b) => {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = row;
+    }
+    return prev[b.length];
+  };
+  const [best] = Object.keys(QUERY_FIELDS)
+    .map(f => [f, distance(name, f)])
+    .filter(([f, n]) => n <= (f.length > 5 ? 2 : 1))
+    .sort((a, b) => a[1] - b[1]);
+  return best ? best[0] : null;
+}
 
-  // Always clamp against the FULL dataset, not the filtered slice
-  const extent = FULL_EXTENT || d3.extent(filteredData, d => d.date);
-  const min = +extent[0];
-  const max = +extent[1];
-  const maxSpan = max - min;
-  const minZoomSpan = MIN_SPAN_MS; // use the shared constant
+// "1990", "1990-05", "1990..2001", "..2001", "1990.." -> [lo, hi) as ms.
+function parseQueryRange(value) {
+  const [a, b] = value.includes("..") ? value.split("..") : [value, value];
+  const bad = () => new Error(t("search.badRange", { value }));
+  const lo = a ? parseDatePart(a) : null;
+  const hi = b ? parseDatePart(b) : null;
+  if ((a && !lo) || (b && !hi) || (!a && !b)) throw bad();
+  return [lo ? +lo.date : -Infinity, hi ? +periodEnd(hi.date, hi.precision) : Infinity];
+}
 
-  // Don’t allow zoom out beyond the full dataset
-  if ((+newEnd - +newStart) > maxSpan) {
-    newStart = new Date(min);
-    newEnd   = new Date(max);
+// Compile one TERM token to a predicate; free-text terms are collected for highlighting.
+function termPredicate({ field, value }, collect) {
+  const v = value.toLowerCase();
+  const has = (str) => !!str && str.toLowerCase().includes(v);
+
+  switch (field) {
+    case null:
+      collect(v);
+      return d => has(d.event) || has(d.notes);
+    case "event":
+      collect(v);
+      return d => has(d.event);
+    case "notes":
+      collect(v);
+      return d => has(d.notes);
+    case "topic":
+      return d => (d.validTopics || []).some(t => t.includes(v));
+    case "source":
+      return d => d.sourceNames.some(has);
+    case "country":
+      return d => d.countries.some(has) || has(d.location);
+    case "status":
+      return d => (d.claimStatus || "none").startsWith(v) || has(d.displayClaimStatus);
+    case "category":
+      if (["multi", "multiple", "both"].includes(v)) return d => (d.categories?.length || 0) > 1;
+      return d => (d.categories || []).some(c => c.startsWith(v));
+    case "key": {
+      if (!/^(true|false|yes|no)$/.test(v)) throw new Error(t("search.keyValue"));
+      const want = v === "true" || v === "yes";
+      return d => d.keyEvent === want;
+    }
+    case "date": {
+      const [lo, hi] = parseQueryRange(value);
+      return (d) => {
+        const end = d.spanEnd ? +d.spanEnd - 1 : +d.date;
+        return +d.date < hi && end >= lo;
+      };
+    }
+    case "after":
+    case "before": {
+      const p = parseDatePart(value);
+      if (!p) throw new Error(t("search.badDate", { value, field }));
+      return field === "after" ? d => +d.date >= +p.date : d => +d.date < +p.date;
+    }
   }
+  return () => true;
+}
 
-  // Keep inside bounds
-  if (+newStart < min) {
-    newStart = new Date(min);
-    newEnd   = new Date(min + span);
+// Recursive descent: or := and (OR and)* ; and := not ([AND] not)* ; not := (NOT|-) not | primary
+function compileSearchQuery(input) {
+  const text = String(input || "").trim();
+  if (!text) return null;
+
+  const tokens = tokenizeQuery(text);
+  const terms = [];
+  let pos = 0;
+  let negDepth = 0;
+  const peek = () => tokens[pos];
+  const describe = (tok) => (tok.type === "TERM" ? `"${tok.value}"` : `"${tok.type}"`);
+  const startsOperand = (tok) => tok && (tok.type === "TERM" || tok.type === "(" || tok.type === "NOT");
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek()?.type === "OR") {
+      pos++;
+      const l = left, r = parseAnd();
+      left = d => l(d) || r(d);
+    }
+    return left;
+  }
+  function parseAnd() {
+    let left = parseNot();
+    while (peek()?.type === "AND" || startsOperand(peek())) {
+      if (peek().type === "AND") pos++;
+      const l = left, r = parseNot();
+      left = d => l(d) && r(d);
+    }
+    return left;
   }
-  if (+newEnd > max) {
-    newEnd   = new Date(max);
-    newStart = new Date(max - span);
+  function parseNot() {
+    if (peek()?.type !== "NOT") return parsePrimary();
+    pos++;
+    negDepth++;
+    const inner = parseNot();
+    negDepth--;
+    return d => !inner(d);
+  }
+  function parsePrimary() {
+    const tok = tokens[pos++];
+    if (!tok) throw new Error(t("search.endsEarly"));
+    if (tok.type === "(") {
+      const inner = parseOr();
+      if (peek()?.type !== ")") throw new Error(t("search.missingParen"));
+      pos++;
+      return inner;
+    }
+    if (tok.type === "TERM") return termPredicate(tok, (v) => { if (negDepth % 2 === 0) terms.push(v); });
+    throw new Error(t("search.unexpected", { token: describe(tok) }));
   }
 
-  // Enforce minimum zoom window
-  if ((+newEnd - +newStart) < minZoomSpan) return;
-
-  // Apply via the shared helper so dots and annotations update correctly
-  const dotsGroup = svg.select(".dots");
-  const xAxisG    = svg.select(".x-axis");
-  setDomainAndRedraw(x, xAxisG, dotsGroup, filteredData, newStart, newEnd, { repack: true });
+  const test = parseOr();
+  if (pos < tokens.length) throw new Error(t("search.unexpected", { token: describe(tokens[pos]) }));
+  const typo = tokens.find(tok => tok.near);
+  const hint = typo ? t("search.didYouMean", { term: typo.value, field: typo.near }) : "";
+  return { test, terms, hint };
 }
 
+// --- Autocomplete for field names and known topic/source/category values ---
 
-// =============== Annotations & legend ===============
+// The query fragment being typed at the caret (may include field: and an open quote).
+function tokenAtCaret(text, caret) {
+  const before = text.slice(0, caret);
+  let start;
+  if ((before.match(/"/g) || []).length % 2) {
+    start = before.lastIndexOf('"');
+    const prefix = /[a-z]+:$/i.exec(before.slice(0, start));
+    if (prefix) start -= prefix[0].length;
+  } else {
+    start = Math.max(before.lastIndexOf(" "), before.lastIndexOf("(")) + 1;
+  }
+  if (before[start] === "-") start++;
+  return { start, text: before.slice(start) };
+}
 
-function drawAnnotations(x, data) {
-  svg.selectAll(".annotations").remove();
+function searchSuggestions(token, data) {
+  const withValue = /^([a-z]+):"?(.*)$/i.exec(token);
+  if (withValue) {
+    const field = withValue[1].toLowerCase();
+    const partial = withValue[2].toLowerCase();
+    const values = QUERY_FIELDS[field]?.values?.(data) || [];
+    return values
+      .filter(v => v.toLowerCase().includes(partial) && v.toLowerCase() !== partial)
+      .slice(0, 8)
+      .map(v => ({ label: v, insert: `${field}:${/[\s()"]/.test(v) ? `"${v}"` : v} ` }));
+  }
+  if (/^[a-z]+$/i.test(token)) {
+    const typed = token.toLowerCase();
+    return Object.entries(QUERY_FIELDS)
+      .filter(([name]) => name.startsWith(typed) && name !== typed)
+      .map(([name]) => ({ label: `${name}:`, hint: t(`query.${name}`), insert: `${name}:` }));
+  }
+  return [];
+}
 
-  const annotationGroup = svg.append("g").attr("class", "annotations");
-  const linesGroup = annotationGroup.append("g").attr("class", "annotation-lines");
-  const boxesGroup = annotationGroup.append("g").attr("class", "annotation-boxes");
+// =============== Export ===============
 
-  const labelPadding = 4;
-  const placedLabels = [];
+const EXPORT_DAY = d3.timeFormat("%Y-%m-%d");
 
-  keyEvents
-    .sort((a, b) => a.date - b.date)
-    .forEach((d) => {
-      if (!d.date || isNaN(x(d.date))) return;
+// Sheet rows as loaded, in the sheet's column order.
+function toCsvExport(rows, columns) {
+  return d3.csvFormat(rows.map(d => d.row), columns.length ? columns : Object.keys(rows[0]?.row || {}));
+}
 
-      const xPos = x(d.date);
-      const labelText  = d.event.length > 50 ? d.event.slice(0, 50) + "…" : d.event;
-      const labelWidth = labelText.length * 7;
-      const labelX1 = xPos - labelWidth / 2;
-      const labelX2 = xPos + labelWidth / 2;
+function toJsonExport(rows) {
+  return JSON.stringify(rows.map(exportRecord), null, 2);
+}
 
-      let level = 0;
-      while (placedLabels.some(l => !(labelX2 < l.x1 || labelX1 > l.x2 || level !== l.level))) level++;
-      placedLabels.push({ x1: labelX1 - labelPadding, x2: labelX2 + labelPadding, level });
+// Plain-object form of an event, for JSON exports and the createTimeline() events.
+function exportRecord(d) {
+  return {
+    key: eventKey(d),
+    event: d.event,
+    date: EXPORT_DAY(d.date),
+    endDate: d.rangeEnd ? EXPORT_DAY(d.rangeEnd.date) : null,
+    precision: d.precision,
+    displayDate: formatEventDate(d),
+    categories: d.displayCategories,
+    topics: d.displayTopics,
+    source: d.displaySource,
+    sourceUrl: d.sourceUrl,
+    sources: d.sources.map(({ name, url, archiveUrl, accessed }) => ({ name, url, archiveUrl, accessed })),
+    countries: d.countries,
+    location: d.location || null,
+    coordinates: d.coords,
+    notes: d.notes,
+    keyEvent: d.keyEvent,
+    claimStatus: d.claimStatus || null,
+    claimOrigin: d.claimOrigin || null,
+    debunkedBy: d.debunkedBy || null
+  };
+}
 
-      const yBase = ANNO_Y0 + level * LAYOUT.annoRow;
+// iCalendar (RFC 5545): all-day events; DTEND is exclusive.
+function toIcsExport(rows) {
+  const esc = (v) => String(v ?? "")
+    .replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+  // fold at 75 octets; continuation lines start with a space
+  const encoder = new TextEncoder();
+  const fold = (line) => {
+    const out = [];
+    let cur = "";
+    for (const ch of line) {
+      if (encoder.encode(cur + ch).length > (out.length ? 74 : 75)) {
+        out.push(cur);
+        cur = "";
+      }
+      cur += ch;
+    }
+    out.push(cur);
+    return out.join("\r\n ");
+  };
+  const day = d3.timeFormat("%Y%m%d");
+  const stamp = d3.utcFormat("%Y%m%dT%H%M%SZ")(new Date());
+
+  const events = rows.map((d) => {
+    const description = [formatEventDate(d), d.notes, d.displaySource && `Source: ${d.displaySource}`, ...d.sources.map(s => s.url)]
+      .filter(Boolean).join("\n");
+    return [
+      "BEGIN:VEVENT",
+      `UID:${esc(eventKey(d))}@gpwmdcounterdisinfo`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${day(d.date)}`,
+      `DTEND;VALUE=DATE:${day(d.spanEnd || d3.timeDay.offset(d.date, 1))}`,
+      `SUMMARY:${esc(d.event)}`,
+      `DESCRIPTION:${esc(description)}`,
+      d.sourceUrl ? `URL:${d.sourceUrl}` : null,
+      d.location || d.countries.length
+        ? `LOCATION:${esc([d.location, d.countries.join(", ")].filter(Boolean).join(", "))}` : null,
+      d.coords ? `GEO:${d.coords[1]};${d.coords[0]}` : null,
+      d.displayCategories.length ? `CATEGORIES:${d.displayCategories.map(esc).join(",")}` : null,
+      "END:VEVENT"
+    ].filter(Boolean);
+  });
 
-      const match = data.find(item => item.date.getTime() === d.date.getTime() && item.event === d.event);
-      const yStart = match?.y ?? DOT_CENTER_Y;
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//GPWMD Counter Disinfo//Timeline//EN",
+    "CALSCALE:GREGORIAN",
+    ...events.flat(),
+    "END:VCALENDAR"
+  ].map(fold).join("\r\n") + "\r\n";
+}
 
-      const line = linesGroup.append("line")
-        .attr("x1", xPos).attr("y1", yStart)
-        .attr("x2", xPos).attr("y2", yBase - 10)
-        .attr("stroke", "#888").attr("stroke-dasharray", "2,2")
-        .attr("stroke-width", 1).style("opacity", 0)
-        .classed("annotation-line", true);
+// build(rows, columns); columns (the sheet's column order) only matters for CSV.
+const EXPORT_FORMATS = {
+  csv:  { ext: "csv",  type: "text/csv",         build: toCsvExport },
+  json: { ext: "json", type: "application/json", build: toJsonExport },
+  ics:  { ext: "ics",  type: "text/calendar",    build: toIcsExport }
+};
 
-      const labelGroup = boxesGroup.append("g")
-        .attr("transform", `translate(${xPos},${yBase})`)
-        .style("cursor", "pointer");
+// --- Citations ---
+
+const CITATION_SITE = { title: "Biological and Chemical Weapons Timeline", publisher: "GPWMD Counter Disinfo" };
+
+// MLA abbreviates months longer than four letters
+const MLA_MONTHS = ["Jan.", "Feb.", "Mar.", "Apr.", "May", "June", "July", "Aug.", "Sept.", "Oct.", "Nov.", "Dec."];
+
+const mlaDate = (date, precision = "day") =>
+  [precision === "day" ? date.getDate() : null, precision === "year" ? null : MLA_MONTHS[date.getMonth()], date.getFullYear()]
+    .filter(v => v != null).join(" ");
+
+// A timeline entry cited as a web page: the sheet's (first) source is the author, the entry's
+// permalink the URL, and the first source document (Source_URL) is kept alongside.
+// Citation conventions are English, so dates ignore the active language.
+function citationFields(d, { permalink, site = {}, accessed = new Date() }) {
+  const en = d3.timeFormatLocale(EN_TIME_LOCALE);
+  const { title, publisher } = { ...CITATION_SITE, ...site };
+  const [chicago, apa] = { month: ["%B %Y", "%Y, %B"], year: ["%Y", "%Y"] }[d.precision] || ["%B %-d, %Y", "%Y, %B %-d"];
+  return {
+    key: eventKey(d),
+    author: d.sourceNames[0] || publisher,
+    title: d.event,
+    site: title,
+    publisher,
+    precision: d.precision,
+    date: d.date,
+    dateChicago: en.format(chicago)(d.date),
+    dateApa: en.format(apa)(d.date),
+    dateMla: mlaDate(d.date, d.precision),
+    accessed,
+    accessedChicago: en.format("%B %-d, %Y")(accessed),
+    accessedMla: mlaDate(accessed),
+    url: permalink,
+    sourceUrl: d.sourceUrl || ""
+  };
+}
 
-      let anchor;
-      if (xPos < width * 0.33) anchor = "start";
-      else if (xPos > width * 0.66) anchor = "end";
-      else anchor = "middle";
+const endWithPeriod = (s) => (/[.?!]$/.test(s) ? s : `${s}.`);
 
-      const text = labelGroup.append("text")
-        .attr("x", 0).attr("y", 0).attr("dy", "0.35em")
-        .attr("text-anchor", anchor)
-        .attr("class", "key-event-label")
-        .text(labelText);
- 
-      const bbox = text.node().getBBox();
-      const rectX = anchor === "start" ? bbox.x - 4 : anchor === "middle" ? -bbox.width / 2 - 4 : -bbox.width - 4;
-
-      const rect = labelGroup.insert("rect", "text")
-        .attr("x", rectX).attr("y", bbox.y - 2)
-        .attr("width", bbox.width + 8).attr("height", bbox.height + 4)
-        .attr("rx", 4).attr("ry", 4)
-        .attr("fill", "#f2f2f2").attr("stroke", "#aaa")
-        .classed("annotation-box", true);
-
-      labelGroup.on("click", () => {
-        svg.selectAll(".annotation-line").attr("stroke", "#888").attr("stroke-width", 1);
-        line.attr("stroke", "#555").attr("stroke-width", 3);
-
-        svg.selectAll(".annotation-box").attr("fill", "#f2f2f2").attr("stroke", "#aaa");
-        rect.attr("fill", "#e0f7fa").attr("stroke", "#00796b");
-
-        if (match) {
-          if (lastClicked && lastClicked !== match) lastClicked.viewed = true;
-          lastClicked = match;
-
-          const circles = svg.selectAll("circle.dot")
-            .attr("opacity", c => (c === lastClicked ? 1 : c.viewed ? 0.4 : 0.8))
-            .attr("stroke", c => (c.keyEvent ? "red" : "none"))
-            .attr("stroke-width", c => (c.keyEvent ? 2 : 0))
-            .attr("stroke-dasharray", null);
-
-          circles.filter(c => c === match)
-            .attr("stroke", "black")
-            .attr("stroke-width", 3)
-            .attr("stroke-dasharray", "4,2")
-            .attr("opacity", 1);
-        }
+// BibTeX text fields: escape LaTeX specials (URLs go in verbatim).
+function bibtexEscape(value) {
+  const special = { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" };
+  return String(value ?? "").replace(/[\\~^{}&%$#_]/g, ch => special[ch] || `\\${ch}`);
+}
 
-        const dateHtml = d.displayDate ? d.displayDate : formatDate(d.date);
-        const docLink = d.sourceUrl
-          ? `<a href="${d.sourceUrl}" target="_blank" rel="noopener">Documentation</a>`
-          : "—";
-
-        d3.select("#detailContent").html(`
-          <h3>${d.event}</h3>
-          <p><strong>Date:</strong> ${dateHtml}</p>
-          <p><strong>Categories:</strong> ${
-            Array.isArray(d.displayCategories) && d.displayCategories.length
-              ? d.displayCategories.join(", ")
-              : "—"
-          }</p>
-          <p><strong>Topics:</strong> ${
-            Array.isArray(d.displayTopics) && d.displayTopics.length
-              ? d.displayTopics.join(", ")
-              : "—"
-          }</p>
-          <p><strong>Key Event:</strong> ${d.keyEvent ? "Yes" : "No"}</p>
-          <p><strong>Notes:</strong><br>${d.notes || "—"}</p>
-          <p>${docLink}</p>
-        `);
-      });
-    });
+// format(fields) -> citation text; bibliographies join entries with `separator`.
+const CITATION_STYLES = {
+  apa: {
+    ext: "txt", type: "text/plain", separator: "\n\n",
+    format: (c) => [
+      `${endWithPeriod(c.author)} (${c.dateApa}). ${endWithPeriod(c.title)}`,
+      `In ${c.site}.`,
+      c.author === c.publisher ? null : `${c.publisher}.`,
+      c.url,
+      c.sourceUrl ? `Source document: ${c.sourceUrl}` : null
+    ].filter(Boolean).join(" ")
+  },
+  chicago: {
+    ext: "txt", type: "text/plain", separator: "\n\n",
+    format: (c) => [
+      `${endWithPeriod(c.author)} “${endWithPeriod(c.title)}”`,
+      `${c.site}. ${c.publisher}, ${c.dateChicago}.`,
+      `Accessed ${c.accessedChicago}.`,
+      `${c.url}.`,
+      c.sourceUrl ? `Source document: ${c.sourceUrl}.` : null
+    ].filter(Boolean).join(" ")
+  },
+  mla: {
+    ext: "txt", type: "text/plain", separator: "\n\n",
+    format: (c) => [
+      `${endWithPeriod(c.author)} “${endWithPeriod(c.title)}”`,
+      `${c.site}, ${c.publisher}, ${c.dateMla}, ${c.url.replace(/^https?:\/\//, "")}.`,
+      `Accessed ${c.accessedMla}.`,
+      c.sourceUrl ? `Source document: ${c.sourceUrl.replace(/^https?:\/\//, "")}.` : null
+    ].filter(Boolean).join(" ")
+  },
+  bibtex: {
+    ext: "bib", type: "application/x-bibtex", separator: "\n\n",
+    format: (c) => {
+      const month = c.precision === "year" ? null : d3.timeFormatLocale(EN_TIME_LOCALE).format("%b")(c.date).toLowerCase();
+      const fields = [
+        ["author", `{{${bibtexEscape(c.author)}}}`],  // double braces: a corporate author, not "Last, First"
+        ["title", `{${bibtexEscape(c.title)}}`],
+        ["howpublished", `{${bibtexEscape(`${c.site}, ${c.publisher}`)}}`],
+        ["year", `{${c.date.getFullYear()}}`],
+        month && ["month", month],   // BibTeX month macro (jan, feb, ...)
+        ["url", `{${c.url}}`],
+        ["urldate", `{${EXPORT_DAY(c.accessed)}}`],
+        c.sourceUrl && ["note", `{Source document: \\url{${c.sourceUrl}}}`]
+      ].filter(Boolean);
+      return `@misc{${c.key},\n${fields.map(([k, v]) => `  ${k} = ${v}`).join(",\n")}\n}`;
+    }
+  },
+  ris: {
+    ext: "ris", type: "application/x-research-info-systems", separator: "\n",
+    format: (c) => {
+      const ymd = d3.timeFormat(c.precision === "year" ? "%Y///" : c.precision === "month" ? "%Y/%m//" : "%Y/%m/%d/");
+      return [
+        ["TY", "ELEC"],
+        ["AU", c.author],
+        ["TI", c.title],
+        ["T2", c.site],
+        ["PB", c.publisher],
+        ["PY", String(c.date.getFullYear())],
+        ["DA", ymd(c.date)],
+        ["UR", c.url],
+        ["Y2", d3.timeFormat("%Y/%m/%d/")(c.accessed)],
+        c.sourceUrl && ["N1", `Source document: ${c.sourceUrl}`],
+        ["ER", ""]
+      ].filter(Boolean).map(([tag, v]) => `${tag}  - ${String(v).replace(/\s+/g, " ")}`).join("\n");
+    }
+  }
+};
 
-  svg.selectAll(".annotation-line").style("opacity", 0);
+// Reference list for several events: author-date styles sort by author, BibTeX/RIS by date.
+function formatBibliography(rows, style, { permalinkFor, site, accessed = new Date() }) {
+  const spec = CITATION_STYLES[style];
+  const entries = rows.map(d => citationFields(d, { permalink: permalinkFor(d), site, accessed }));
+  if (spec.ext === "txt") {
+    entries.sort((a, b) => a.author.localeCompare(b.author, "en") || a.date - b.date || a.title.localeCompare(b.title, "en"));
+  } else {
+    entries.sort((a, b) => a.date - b.date);
+  }
+  return entries.map(spec.format).join(spec.separator) + "\n";
 }
 
-function drawLegend() {
-  svg.selectAll(".legend").remove();
+function citeStyleOptions() {
+  return Object.keys(CITATION_STYLES).map(k => `
+    <option value="${k}" data-i18n="cite.${k}">${t(`cite.${k}`)}</option>`).join("");
+}
 
-  const legendItems = [
-    { key: "biological", label: "Biological",    color: categoryColors.biological, type: "dot"  },
-    { key: "chemical",   label: "Chemical",      color: categoryColors.chemical,   type: "dot"  },
-    { key: "multi",      label: "Both categories", color: categoryColors.multi,    type: "dot"  },
-    { key: "key",        label: "Key event",     color: null,                      type: "ring" }
-  ];
+const CITE_STORAGE_KEY = "timelineCiteStyle";
 
-  const g = svg.append("g")
-    .attr("class", "legend")
-    .attr("transform", `translate(${LEGEND.x},${LEGEND.y})`);
-
-  const rows = g.selectAll(".legend-row")
-    .data(legendItems, d => d.key)
-    .join("g")
-    .attr("class", "legend-row")
-    .attr("transform", (d, i) => `translate(0, ${i * LEGEND.gapY})`)
-    .style("cursor", "pointer")
-    .on("click", (event, d) => {
-      if (selectedCats.has(d.key)) selectedCats.delete(d.key);
-      else selectedCats.add(d.key);
-      updateLegendStyles();
-      updateChart();
-    });
+function readCiteStyle() {
+  try { return localStorage.getItem(CITE_STORAGE_KEY); } catch (_) { return null; /* storage blocked */ }
+}
 
-  rows.each(function (d) {
-    const row = d3.select(this);
-    if (d.type === "dot") {
-      row.append("circle")
-        .attr("class", "legend-dot")
-        .attr("cx", LEGEND.dotR).attr("cy", LEGEND.dotR).attr("r", LEGEND.dotR)
-        .attr("fill", d.color).attr("stroke", "#999");
-    } else {
-      row.append("circle")
-        .attr("class", "legend-ring")
-        .attr("cx", LEGEND.dotR).attr("cy", LEGEND.dotR).attr("r", LEGEND.dotR)
-        .attr("fill", "#ddd").attr("stroke", "red").attr("stroke-width", 2);
+// Clipboard API where allowed, else the selection of a (temporary) textarea.
+function copyText(text, field = null) {
+  if (navigator.clipboard?.writeText && window.isSecureContext) {
+    return navigator.clipboard.writeText(text);
+  }
+  return new Promise((resolve, reject) => {
+    const el = field || Object.assign(document.createElement("textarea"), { value: text });
+    if (!field) {
+      el.setAttribute("readonly", "");
+      el.style.cssText = "position:fixed;top:0;left:0;opacity:0;";
+      document.body.appendChild(el);
     }
+    el.select();
+    let ok = false;
+    try { ok = document.execCommand("copy"); } catch (_) { ok = false; }
+    if (!field) el.remove();
+    if (ok) resolve(); else reject(new Error("copy command unavailable"));
   });
-
-  rows.append("text")
-    .attr("x", LEGEND.dotR * 2 + 8)
-    .attr("y", LEGEND.dotR + 4)
-    .attr("font-size", 12)
-    .attr("fill", "#333")
-    .text(d => d.label);
-
-  function updateLegendStyles() {
-    rows.classed("off", d => !selectedCats.has(d.key));
-    rows.selectAll("circle").attr("opacity", d => (selectedCats.has(d.key) ? 1 : 0.3));
-    rows.selectAll("text").attr("fill", d => (selectedCats.has(d.key) ? "#333" : "#999"));
-  }
-  updateLegendStyles();
 }
 
-// =============== Resize ===============
-function resizeChart() {
-  const container = document.getElementById("container");
-  if (!container || !svg) return;
-  width = Math.max(320, (container.clientWidth || 0) - 40);
-  svg.attr("viewBox", `0 0 ${width} ${getTotalHeight()}`);
-  updateChart();
-}
+// --- Chart image (SVG / PNG) ---
 
-// =============== Misc (audit) ===============
-function auditZoomClipping() {
-  if (!currentXScale) {
-    console.warn("No x scale yet.");
-    return;
-  }
-  const [d0, d1] = currentXScale.domain();
+const SVG_NS = "http://www.w3.org/2000/svg";
 
-  const outside = filteredData.filter(d => d.date < d0 || d.date > d1);
-  const inside = filteredData.length - outside.length;
+// Presentation properties copied from the live page so the file renders without main.css.
+const EXPORT_STYLE_PROPS = [
+  "display", "visibility", "opacity",
+  "fill", "fill-opacity", "stroke", "stroke-opacity", "stroke-width", "stroke-dasharray",
+  "stroke-linecap", "stroke-linejoin", "vector-effect",
+  "font-family", "font-size", "font-weight", "text-anchor", "dominant-baseline"
+];
 
-  console.table({
-    totalFiltered: filteredData.length,
-    visibleInDomain: inside,
-    clippedByZoom: outside.length
+function inlineComputedStyles(source, clone) {
+  const srcEls = [source, ...source.querySelectorAll("*")];
+  const dstEls = [clone, ...clone.querySelectorAll("*")];
+  srcEls.forEach((el, i) => {
+    const cs = window.getComputedStyle(el);
+    const style = EXPORT_STYLE_PROPS
+      .map(p => [p, cs.getPropertyValue(p)])
+      .filter(([, v]) => v !== "")
+      .map(([p, v]) => `${p}:${v}`)
+      .join(";");
+    if (style) dstEls[i].setAttribute("style", style);
   });
-
-  return outside;
 }
 
-// =============== Detail panel collapse, controls hamburger, tour (unchanged) ===============
-
-// --- Detail View roll-up toggle (robust, delegated) ---
-(function () {
-  const STORAGE_KEY = "detailViewCollapsed";
-
-  // Apply saved/initial state once the DOM is ready
-  const applyInitial = () => {
-    const panel = document.getElementById("detailView");
-    const btn   = document.getElementById("detailToggleBtn");
-    if (!panel || !btn) return;
-
-    const collapsed = localStorage.getItem(STORAGE_KEY) === "true";
-    panel.classList.toggle("collapsed", collapsed);
-    btn.setAttribute("aria-expanded", String(!collapsed));
-    panel.setAttribute("aria-expanded", String(!collapsed));
-  };
-
-  if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", applyInitial, { once: true });
-  } else {
-    applyInitial();
-  }
-
-
-})();
-
-
+function svgToPngBlob(markup, w, h, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(w * scale);
+      canvas.height = Math.round(h * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, w, h);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(b => (b ? resolve(b) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render chart image"));
+    };
+    img.src = url;
+  });
+}
 
 // =========================
 // Guided Tour
@@ -1189,11 +1801,14 @@ function auditZoomClipping() {
 // Track whether already shown the tour in this session.
 let TOUR_STARTED = false;
 
+// Timeline the tour is walking through (steps are looked up inside it).
+let tourRoot = document;
+
 /** Waits for a selector to appear (useful for dynamic elements). */
-function waitForEl(selector, tries = 20, delay = 150) {
+function waitForEl(selector, tries = 20, delay = 150, root = document) {
   return new Promise((resolve, reject) => {
     const attempt = (n) => {
-      const el = document.querySelector(selector);
+      const el = root.querySelector(selector);
       if (el) return resolve(el);
       if (n <= 0) return reject(new Error("Not found: " + selector));
       setTimeout(() => attempt(n - 1), delay);
@@ -1224,9 +1839,9 @@ function ensureTourNodes() {
       <h4></h4>
       <p></p>
       <div class="tour-actions">
-        <button type="button" data-action="back">Back</button>
-        <button type="button" data-action="next">Next</button>
-        <button type="button" data-action="skip">Skip tour</button>
+        <button type="button" data-action="back" data-i18n="tour.back">${t("tour.back")}</button>
+        <button type="button" data-action="next" data-i18n="tour.next">${t("tour.next")}</button>
+        <button type="button" data-action="skip" data-i18n="tour.skip">${t("tour.skip")}</button>
       </div>
     `;
     document.body.appendChild(pop);
@@ -1242,55 +1857,24 @@ function ensureTourNodes() {
   return { mask, spot, pop };
 }
 
-/** Ordered steps shown by the tour */
+/** Ordered steps shown by the tour (text from the tour.<key>.title / .text messages) */
 const TOUR_STEPS = [
-  {
-    title: "Scroll to zoom in",
-    text: "Scroll over the timeline with your mouse to zoom in and out.",
-    target: "#chart"
-  },
-  {
-    title: "Click for additional information",
-    text:
-      "Click on a dot to highlight the event and find additional details in the side panel.",
-    target: ".dots circle, #chart"
-  },
-  {
-    title: "Filter by topic",
-    text: "Use the Topic filter to select or deselect events.",
-    target: "#topicDropdownBtn"
-  },
-  {
-    title: "Filter by source",
-    text:
-      "Use the Source filter to select or deselect events based on their source.",
-    target: "#sourceDropdownBtn"
-  },
-  {
-    title: "Search",
-    text: "Type here to quickly search the data.",
-    target: "#search"
-  },
-  {
-    title: "Legend",
-    text:
-      "Toggle categories and key events on and off by clicking items in the legend.",
-    target: "svg .legend"
-  },
-  {
-    title: "Annotations",
-    text:
-      "Key events are labeled below the axis. Click a label to jump to that event.",
-    target: "svg .annotation-boxes, #chart"
-  }
+  { key: "zoom",        target: ".chart" },
+  { key: "details",     target: ".dots .dot, .chart" },
+  { key: "topics",      target: ".topic-dropdown-btn" },
+  { key: "sources",     target: ".source-dropdown-btn" },
+  { key: "search",      target: ".search-input" },
+  { key: "legend",      target: "svg .legend" },
+  { key: "annotations", target: "svg .annotation-boxes, .chart" }
 ];
 
 let tourIndex = 0;
 
 /** Start the tour once (shows mask, highlights first step). */
-function startTour() {
+function startTour(root = document) {
   if (TOUR_STARTED) return;
   TOUR_STARTED = true;
+  tourRoot = root;
 
   const { mask } = ensureTourNodes();
   mask.style.display = "block";
@@ -1332,7 +1916,7 @@ async function showTourStep(i) {
   let el = null;
   for (const part of parts) {
     try {
-      el = await waitForEl(part, 8, 120);
+      el = await waitForEl(part, 8, 120, tourRoot);
       if (el) break;
     } catch (_) {
       /* try next part */
@@ -1369,8 +1953,8 @@ async function showTourStep(i) {
   });
 
   // Fill popover content.
-  pop.querySelector("h4").textContent = step.title;
-  pop.querySelector("p").textContent = step.text;
+  pop.querySelector("h4").textContent = t(`tour.${step.key}.title`);
+  pop.querySelector("p").textContent = t(`tour.${step.key}.text`);
 
   // Position popover near the spotlight (prefer below).
   pop.style.display = "block";
@@ -1393,4 +1977,3686 @@ async function showTourStep(i) {
   Object.assign(pop.style, { left: `${popLeft}px`, top: `${popTop}px` });
 }
 
-  
+// =============== Markup ===============
+
+// Controls, chart, detail panel and list for one timeline. id(name) makes the element ids
+// unique per timeline; styles hook onto the classes.
+function timelineMarkup(id, features, config) {
+  const dropdown = (key, label) => `
+      <div class="${key}-dropdown-wrapper"${key === "country" || key === "status" ? " hidden" : ""}>
+        <button id="${id(`${key}DropdownBtn`)}" class="${key}-dropdown-btn" aria-haspopup="true" aria-expanded="false"
+                aria-controls="${id(`${key}Dropdown`)}" data-i18n="${label}">${t(label)}</button>
+        <div id="${id(`${key}Dropdown`)}" class="${key}-dropdown"></div>
+      </div>`;
+
+  return `
+    <div id="${id("controls")}" class="controls">
+      ${features.filters ? dropdown("topic", "filters.topics") + dropdown("source", "filters.sources") +
+        dropdown("country", "filters.countries") + dropdown("status", "filters.status") : ""}
+
+      ${features.search ? `
+      <div class="search-wrapper">
+        <input type="text" id="${id("search")}" class="search-input" placeholder="${t("search.placeholder")}"
+               role="combobox" aria-autocomplete="list" aria-expanded="false"
+               aria-controls="${id("searchSuggest")}" aria-describedby="${id("searchError")}"
+               title="${escapeHtml(t("search.help"))}"
+               data-i18n-attr="placeholder:search.placeholder;title:search.help" />
+        <span id="${id("searchCount")}" class="search-count" aria-live="polite" hidden></span>
+        <button id="${id("searchPrevBtn")}" class="search-step" type="button" aria-label="${t("search.prev")}" title="${t("search.prev")}"
+                data-i18n-attr="aria-label:search.prev;title:search.prev" hidden>‹</button>
+        <button id="${id("searchNextBtn")}" class="search-step" type="button" aria-label="${t("search.next")}" title="${t("search.next")}"
+                data-i18n-attr="aria-label:search.next;title:search.next" hidden>›</button>
+        <ul id="${id("searchSuggest")}" class="search-suggest" role="listbox" aria-label="${t("search.suggestions")}"
+            data-i18n-attr="aria-label:search.suggestions" hidden></ul>
+        <div id="${id("searchError")}" class="search-error" role="alert" hidden></div>
+      </div>` : ""}
+
+      ${features.lanes ? `
+      <select id="${id("laneSelect")}" aria-label="${t("lanes.label")}" title="${t("lanes.label")}"
+              data-i18n-attr="aria-label:lanes.label;title:lanes.label">
+        ${["none", "category", "topic", "source"].map(k => `
+        <option value="${k === "none" ? "" : k}" data-i18n="lanes.${k}">${t(`lanes.${k}`)}</option>`).join("")}
+      </select>` : ""}
+
+      ${features.list ? `
+      <button id="${id("listViewBtn")}" class="list-view-btn" type="button" aria-pressed="false" aria-controls="${id("listView")}"
+              data-i18n="list.button">${t("list.button")}</button>` : ""}
+
+      ${features.export ? `
+      <div class="export-dropdown-wrapper">
+        <button id="${id("exportBtn")}" class="export-btn" aria-haspopup="true" aria-expanded="false" data-i18n="export.button">${t("export.button")}</button>
+        <div id="${id("exportMenu")}" class="export-menu">
+          <label><input type="checkbox" id="${id("exportVisibleOnly")}" /> <span data-i18n="export.visibleOnly">${t("export.visibleOnly")}</span></label>
+          ${["csv", "json", "ics"].map(f => `
+          <button type="button" data-export="${f}" data-i18n="export.${f}">${t(`export.${f}`)}</button>`).join("")}
+          <span class="export-section" data-i18n="export.image">${t("export.image")}</span>
+          <input type="text" id="${id("exportTitle")}" placeholder="${t("export.titlePlaceholder")}" data-i18n-attr="placeholder:export.titlePlaceholder" />
+          <label><span data-i18n="export.scale">${t("export.scale")}</span>
+            <select id="${id("exportScale")}" class="export-scale">
+              ${[1, 2, 3, 4].map(n => `<option value="${n}"${n === 2 ? " selected" : ""}>${n}×</option>`).join("")}
+            </select>
+          </label>
+          <button type="button" data-export-image="svg" data-i18n="export.svg">${t("export.svg")}</button>
+          <button type="button" data-export-image="png" data-i18n="export.png">${t("export.png")}</button>
+          <span class="export-section" data-i18n="cite.bibliography">${t("cite.bibliography")}</span>
+          <label><span data-i18n="cite.style">${t("cite.style")}</span>
+            <select class="cite-style">${citeStyleOptions()}</select>
+          </label>
+          <button type="button" data-bibliography="copy" data-i18n="cite.copyAll">${t("cite.copyAll")}</button>
+          <button type="button" data-bibliography="download" data-i18n="cite.download">${t("cite.download")}</button>
+          <span id="${id("bibliographyStatus")}" class="cite-status" role="status"></span>
+        </div>
+      </div>` : ""}
+
+      ${features.theme ? `
+      <div class="theme-dropdown-wrapper">
+        <button id="${id("themeBtn")}" class="theme-btn" aria-haspopup="true" aria-expanded="false" aria-controls="${id("themeMenu")}"
+                data-i18n="theme.button">${t("theme.button")}</button>
+        <div id="${id("themeMenu")}" class="theme-menu">
+          <label><span data-i18n="theme.palette">${t("theme.palette")}</span>
+            <select data-theme-field="palette">
+              ${Object.keys(PALETTES).map(p => `
+              <option value="${p}" data-i18n="palette.${p}">${t(`palette.${p}`)}</option>`).join("")}
+            </select>
+          </label>
+          <label><span data-i18n="theme.scheme">${t("theme.scheme")}</span>
+            <select data-theme-field="scheme">
+              ${SCHEMES.map(k => `
+              <option value="${k}" data-i18n="scheme.${k}">${t(`scheme.${k}`)}</option>`).join("")}
+            </select>
+          </label>
+          <label><input type="checkbox" data-theme-field="shapes" /> <span data-i18n="theme.shapes">${t("theme.shapes")}</span></label>
+          <label><input type="checkbox" data-theme-field="contrast" /> <span data-i18n="theme.contrast">${t("theme.contrast")}</span></label>
+        </div>
+      </div>` : ""}
+
+      <div class="actions">
+        ${features.tour ? `<button id="${id("helpTourBtn")}" class="help-tour-btn" data-i18n="actions.tutorial">${t("actions.tutorial")}</button>` : ""}
+        ${config.methodologyUrl ? `
+        <a class="methodology-btn" href="${escapeHtml(config.methodologyUrl)}" aria-label="${t("actions.methodology")}"
+           data-i18n="actions.methodology" data-i18n-attr="aria-label:actions.methodology">${t("actions.methodology")}</a>` : ""}
+        ${features.languages ? `
+        <select id="${id("langSelect")}" aria-label="${t("actions.language")}" title="${t("actions.language")}"
+                data-i18n-attr="aria-label:actions.language;title:actions.language"></select>` : ""}
+      </div>
+    </div>
+
+    <div id="${id("container")}" class="chart-container">
+      <div id="${id("mobileZoom")}" class="mobile-zoom" aria-label="${t("zoom.controls")}" data-i18n-attr="aria-label:zoom.controls">
+        <button id="${id("zoomOutBtn")}" title="${t("zoom.out")}" aria-label="${t("zoom.out")}" data-i18n-attr="title:zoom.out;aria-label:zoom.out">−</button>
+        <button id="${id("zoomInBtn")}" title="${t("zoom.in")}" aria-label="${t("zoom.in")}" data-i18n-attr="title:zoom.in;aria-label:zoom.in">+</button>
+      </div>
+      <svg id="${id("chart")}" class="chart" preserveAspectRatio="xMidYMid meet" role="group"
+           aria-label="${t("chart.label")}" aria-describedby="${id("chartHelp")}" data-i18n-attr="aria-label:chart.label"></svg>
+      ${features.overview ? `
+      <svg id="${id("overview")}" class="overview" aria-label="${t("overview.label")}" data-i18n-attr="aria-label:overview.label"></svg>` : ""}
+      ${features.map ? `
+      <section id="${id("mapPanel")}" class="map-panel" aria-label="${t("map.panel")}" data-i18n-attr="aria-label:map.panel" hidden>
+        <svg id="${id("map")}" class="map" role="group" aria-label="${t("map.label")}" data-i18n-attr="aria-label:map.label"></svg>
+        <p id="${id("mapCaption")}" class="map-caption"></p>
+      </section>` : ""}
+      <p id="${id("chartHelp")}" class="visually-hidden" data-i18n="chart.help">${t("chart.help")}</p>
+      <div id="${id("chartStatus")}" class="visually-hidden" role="status" aria-live="polite"></div>
+      <div id="${id("detailView")}" class="detail-view" aria-expanded="true">
+        <div class="detail-header">
+          <button id="${id("detailToggleBtn")}" class="detail-toggle" aria-expanded="true"
+                  aria-label="${t("detail.collapse")}" title="${t("detail.toggle")}"
+                  data-i18n-attr="aria-label:detail.collapse;title:detail.toggle">v</button>
+          <span class="detail-title" data-i18n="detail.title">${t("detail.title")}</span>
+        </div>
+
+        <div id="${id("detailContent")}" class="detail-content detail-event">
+          <p data-i18n="detail.empty">${t("detail.empty")}</p>
+        </div>
+
+        <div id="${id("pinnedEvents")}" class="detail-content pinned-events" aria-label="${t("pins.label")}"
+             data-i18n-attr="aria-label:pins.label" hidden></div>
+      </div>
+    </div>
+
+    ${features.list ? `
+    <section id="${id("listView")}" class="list-view" aria-label="${t("list.label")}" data-i18n-attr="aria-label:list.label" hidden></section>` : ""}
+  `;
+}
+
+// =============== Timeline component ===============
+
+let timelineCount = 0;     // timelines created on this page (for unique element ids)
+let urlStateOwner = null;  // root element of the timeline that syncs the URL hash
+
+function createTimeline(container, options = {}) {
+  const root = typeof container === "string" ? document.querySelector(container) : container;
+  if (!root) throw new Error(`createTimeline: no element matches ${container}`);
+
+  const config = { ...DATA_CONFIG, ...options };
+  const features = { ...DEFAULT_FEATURES, ...DATA_CONFIG.features, ...options.features };
+
+  // Colours set in code win over the category sheet (see setupCategories()).
+  const categoryColors = { ...DATA_CONFIG.colors, ...options.colors };
+  const multiMode = MULTI_CATEGORY_MODES.includes(config.multiCategory) ? config.multiCategory : "multiple";
+
+  // Layout constants control spacing and heights of major bands.
+  const LAYOUT = { ...DEFAULT_LAYOUT, ...DATA_CONFIG.layout, ...options.layout };
+
+  // Legend drawing constants (position and spacing).
+  const LEGEND = { x: 16, y: Math.max(2, LAYOUT.top - 6), dotR: 8, gapY: 20, gapX: 140, rows: 4 };
+
+  // Derived y-positions for axis/annotations; total SVG height budget.
+  const AXIS_Y  = LAYOUT.top + LAYOUT.chartHeight;
+  const ANNO_Y0 = AXIS_Y + LAYOUT.annoGap;
+
+  // Element ids; the first timeline on a page keeps the plain ones (#chart, #search, …).
+  const instanceNo = ++timelineCount;
+  const idPrefix = config.idPrefix ?? (instanceNo > 1 ? `timeline${instanceNo}-` : "");
+  const id = name => idPrefix + name;
+  const byId = name => root.querySelector(`#${id(name)}`);
+
+  // Only one timeline per page can keep its state in the URL hash.
+  const syncUrl = features.urlState && !urlStateOwner;
+  if (features.urlState && !syncUrl) console.warn("Another timeline already keeps its state in the URL; this one won't.");
+  if (syncUrl) urlStateOwner = root;
+
+  // Host-page listeners: on(type, fn) for "select", "filterchange" and "zoom".
+  const dispatch = d3.dispatch("select", "filterchange", "zoom");
+  // Window/document listeners, removed together by destroy().
+  const teardown = new AbortController();
+  const { signal } = teardown;
+
+  // Per-timeline state
+  let svg;                   // d3 selection for the chart SVG
+  let width;                 // current chart width (responsive)
+  let DOT_CENTER_Y;          // vertical centerline for dots
+  let lastClicked = null;    // last dot clicked (for styling)
+  let keyEvents = [];        // subset of filteredData with keyEvent=true
+  let rawData = [];          // all parsed rows from CSV
+  let filteredData = [];     // rows after filters/search
+  let currentXScale = null;  // keep a ref for button zoom
+  let FULL_EXTENT = null;    // [minDate, maxDate] across ALL rows
+  let ZOOM_LISTENERS_BOUND = false;
+  let rawColumns = [];        // sheet column order, for exports
+  let dataIssues = [];        // validation findings from the last successful load
+  let overviewX = null;       // time scale of the overview strip (always FULL_EXTENT)
+  let overviewBrush = null;   // d3.brushX on the overview
+  let URL_SYNC_READY = false;  // URL writes stay off until the incoming state is restored
+  let URL_SYNC_PAUSED = false; // true while applying state from the URL (popstate)
+  let destroyed = false;
+
+  // Legend state: category keys (see categories) plus "key" for key events
+  let selectedCats = new Set(["key"]);
+  let categories = new Map();  // key -> { key, label, labels, display, color, shape }, legend order
+  let categorySheet = new Map(); // parsed category sheet, kept for restyling on theme changes
+
+  // =============== Utilities ===============
+
+  function getTotalHeight() {
+    const noAnnoBand   = AXIS_Y + LAYOUT.bottom;
+    const withAnnoBand = AXIS_Y + LAYOUT.annoGap + LAYOUT.annoRowsMax * LAYOUT.annoRow + LAYOUT.bottom;
+    return isMobile() ? noAnnoBand : withAnnoBand;
+  }
+
+  // Plain colour of an event (its legend entry); dots in "split" mode use dotFill() instead.
+  function color(d) {
+    return categories.get(d.categoryKey)?.color || "#ccc";
+  }
+
+  function runTutorialWhenReady(startFn) {
+    // wait until dots exist, then start the tutorial
+    when(() => svg && !svg.selectAll(".dots .dot").empty())
+      .then(() => {
+        // a tiny delay lets layout settle
+        setTimeout(() => startFn(), 0);
+      })
+      .catch((err) => console.warn("Tutorial skipped:", err));
+  }
+
+  // =============== Categories ===============
+
+  // Optional category sheet (config.categorySheet); if it fails the defaults apply.
+  function loadCategorySheet() {
+    if (!config.categorySheet) return Promise.resolve(null);
+    return fetchRows(config.categorySheet)
+      .then(({ rows }) => parseCategorySheet(rows))
+      .catch((err) => {
+        console.warn("Category sheet unavailable, using default categories:", err?.message || err);
+        return null;
+      });
+  }
+
+  // Legend entries for the categories found in the data, styled by the sheet. Every event is
+  // filed under them: d.categoryKey picks colour, shape and lane, d.categoryKeys the legend
+  // toggles that show it.
+  function setupCategories(data, sheet = null) {
+    const rows = sheet || new Map();
+    const found = new Map(); // key -> category as first written in the data
+    data.forEach(d => d.categories.forEach((c, i) => {
+      if (!found.has(c)) found.set(c, d.displayCategories[i]);
+    }));
+
+    const keys = [...found.keys()];
+    if (multiMode === "multiple" && data.some(d => d.categories.length > 1)) keys.push("multi");
+    if (data.some(d => !d.categories.length)) keys.push("none");
+
+    // sheet order first, then the built-in categories, then first appearance; "multi"/"none" last
+    const builtIn = Object.keys(DEFAULT_COLORS);
+    const ordered = d3.sort(
+      d3.sort(keys, k => (k === "none" ? 2 : k === "multi" ? 1 : 0), k => (builtIn.includes(k) ? builtIn.indexOf(k) : builtIn.length)),
+      k => rows.get(k)?.order ?? Infinity
+    );
+
+    categories = new Map(ordered.map((key) => {
+      const row = rows.get(key) || {};
+      return [key, { key, label: row.label || null, labels: row.labels || {}, display: found.get(key) || null }];
+    }));
+    categorySheet = rows;
+    styleCategories();
+
+    data.forEach((d) => {
+      if (!d.categories.length) d.categoryKey = "none";
+      else if (d.categories.length > 1 && multiMode === "multiple") d.categoryKey = "multi";
+      else d.categoryKey = d3.least(d.categories, c => ordered.indexOf(c));
+      d.categoryKeys = multiMode === "multiple" || !d.categories.length ? [d.categoryKey] : d.categories;
+    });
+    selectedCats = new Set(allCategoryKeys());
+  }
+
+  // Colour and shape of each category under the active theme. With the default palette, colours
+  // from options.colors and the sheet win; the colour-blind-safe palettes replace them.
+  function styleCategories() {
+    const palette = paletteFor();
+    const entries = [...categories.values()];
+    entries.forEach((e) => {
+      const row = categorySheet.get(e.key) || {};
+      e.color = (palette.custom && (categoryColors[e.key] || row.color)) || palette.named[e.key] || null;
+    });
+    const free = palette.colors.filter(c => !entries.some(e => e.color === c));
+    entries.filter(e => !e.color).forEach((e, i) => { e.color = free[i % free.length] || palette.colors[i % palette.colors.length]; });
+
+    // sheet shapes always apply; with shapes on, the rest take the unused ones in turn
+    const sheetShape = e => categorySheet.get(e.key)?.shape;
+    const shapes = SHAPE_ORDER.filter(s => !entries.some(e => sheetShape(e) === s));
+    let next = 0;
+    entries.forEach((e) => {
+      e.shape = sheetShape(e) || (theme.shapes && shapes.length ? shapes[next++ % shapes.length] : "circle");
+    });
+  }
+
+  // Every legend toggle, all on by default: the categories plus key events.
+  function allCategoryKeys() {
+    return [...categories.keys(), "key"];
+  }
+
+  // Sheet label (Label_<code> for the active language), built-in translation, or as written in the data.
+  function categoryName(key) {
+    const c = categories.get(key);
+    if (c?.labels[locale]) return c.labels[locale];
+    if (c?.label) return c.label;
+    if (MESSAGES_EN[`category.${key}`]) return categoryLabel(key);
+    return c?.display || key;
+  }
+
+  function dotShape(d) {
+    return categories.get(d.categoryKey)?.shape || "circle";
+  }
+
+  // Dot outline for an event, centred on 0,0 (positioned with a transform).
+  function dotPath(d, r = radius) {
+    return symbolPath(dotShape(d), r);
+  }
+
+  // Dot paint: the event's colour, or a pie of its categories in "split" mode.
+  function dotFill(d) {
+    if (multiMode !== "split" || d.categories.length < 2) return color(d);
+    return `url(#${splitPattern(d)})`;
+  }
+
+  function splitColors(d) {
+    const order = [...categories.keys()];
+    return d3.sort(d.categories, c => order.indexOf(c)).map(c => categories.get(c)?.color || "#ccc");
+  }
+
+  // One <pattern> per combination of categories, created on first use.
+  function splitPattern(d) {
+    const order = [...categories.keys()];
+    const pid = id(`split-${d3.sort(d.categories.map(c => order.indexOf(c))).join("-")}`);
+    const defs = svg.select("defs");
+    if (defs.select(`#${pid}`).empty()) {
+      defs.append("pattern")
+        .attr("id", pid)
+        .attr("width", 1).attr("height", 1)
+        .attr("patternContentUnits", "objectBoundingBox")
+        .selectAll("path")
+        .data(pieSlices(splitColors(d)))
+        .join("path")
+        .attr("transform", "translate(0.5,0.5)")
+        .attr("d", s => s.path)
+        .attr("fill", s => s.color);
+    }
+    return pid;
+  }
+
+  // =============== Data loading ===============
+
+  // ?data= only steers the timeline that owns the URL.
+  function resolveDataSource() {
+    const param = syncUrl && new URLSearchParams(window.location.search).get("data");
+    if (param) {
+      if (isAllowedDataParam(param)) return param;
+      console.warn("Ignoring ?data= outside this site:", param);
+    }
+    const attr = root.dataset.src;
+    if (attr) return attr;
+    if (Array.isArray(config.data)) return config.data;
+    return config.src;
+  }
+
+  // categorySheet: promise of parseCategorySheet() output (or null), checked against the rows.
+  function loadTimelineData(source, categorySheet = Promise.resolve(null)) {
+    const load = (src) => Promise.all([fetchRows(src), categorySheet]).then(([{ rows, columns, updated }, sheet]) => {
+      const parsed = rows.map(parseRow);
+      const kept = parsed.filter(Boolean);
+      if (!kept.length) throw new Error("No rows with a valid date");
+      kept.forEach((d, i) => { d.uid = i; }); // stable id for keyed joins and layout caching
+      linkRelatedEvents(kept);
+      rawColumns = columns;
+      dataIssues = validateRows(rows, parsed, sheet && new Set(sheet.keys()));
+      return { rows: kept, updated, fromSnapshot: false, sheet };
+    });
+
+    return withRetry(() => load(source), config.retries, config.retryDelay)
+      .catch((err) => {
+        const snapshot = config.snapshotUrl;
+        if (!snapshot || source === snapshot) throw err;
+        console.warn("Live data unavailable, trying snapshot:", err?.message || err);
+        return load(snapshot)
+          .then((res) => ({ ...res, fromSnapshot: true }))
+          .catch(() => { throw err; }); // report the live-source failure, not the snapshot's
+      });
+  }
+
+  function showDataBanner(updated) {
+    let banner = byId("dataBanner");
+    if (!banner) {
+      banner = document.createElement("div");
+      banner.id = id("dataBanner");
+      banner.className = "data-banner";
+      banner.setAttribute("role", "status");
+      const container = byId("container");
+      container?.parentNode.insertBefore(banner, container);
+    }
+    showDataBanner.updated = updated;
+    const when = updated && !isNaN(updated) ? formatDate(updated) : t("data.earlierSnapshot");
+    banner.innerHTML = `
+      ${escapeHtml(t("data.cached", { when }))}
+      <button type="button" data-action="retry">${t("data.retry")}</button>
+    `;
+    banner.querySelector("[data-action=retry]")
+      .addEventListener("click", () => window.location.reload());
+  }
+
+  // Editor-only panel (?debug=1): summary by reason, full list, downloadable report. Not translated.
+  function renderDiagnostics(issues, totalRows) {
+    if (!DEBUG) return;
+
+    let panel = byId("diagnostics");
+    if (!panel) {
+      panel = document.createElement("section");
+      panel.id = id("diagnostics");
+      panel.className = "diagnostics-panel";
+      root.appendChild(panel);
+    }
+
+    const dropped = issues.filter(x => x.dropped).length;
+    const byReason = d3.rollups(issues, v => v.length, x => x.reason.replace(/ \d+ /, " N "))
+      .sort((a, b) => b[1] - a[1]);
+
+    panel.innerHTML = `
+      <div class="diagnostics-header">
+        <h3>Data quality</h3>
+        <span>${totalRows} rows loaded · ${dropped} dropped · ${issues.length - dropped} warnings</span>
+        <button type="button" data-action="download"${issues.length ? "" : " disabled"}>Download report (CSV)</button>
+      </div>
+      <ul class="diagnostics-summary">
+        ${byReason.map(([reason, n]) => `<li>${escapeHtml(reason)}: <strong>${n}</strong></li>`).join("")}
+      </ul>
+      ${issues.length ? `
+      <div class="diagnostics-table-wrap">
+        <table class="diagnostics-table">
+          <thead><tr><th>Row</th><th>Column</th><th>Value</th><th>Reason</th></tr></thead>
+          <tbody>
+            ${issues.map(x => `
+              <tr class="${x.dropped ? "dropped" : ""}">
+                <td>${x.row}</td><td>${escapeHtml(x.column)}</td>
+                <td>${escapeHtml(x.value)}</td><td>${escapeHtml(x.reason)}</td>
+              </tr>`).join("")}
+          </tbody>
+        </table>
+      </div>` : "<p>No problems found.</p>"}
+    `;
+
+    panel.querySelector("[data-action=download]")?.addEventListener("click", () => {
+      downloadFile("timeline-data-report.csv", issuesToCsv(issues), "text/csv");
+    });
+  }
+
+  // =============== Init & boot ===============
+
+  function bindZoomButtons() {
+    if (ZOOM_LISTENERS_BOUND) return;
+    ZOOM_LISTENERS_BOUND = true;
+    byId("zoomInBtn")?.addEventListener("click", () => zoomBy(1.25));
+    byId("zoomOutBtn")?.addEventListener("click", () => zoomBy(0.8));
+  }
+
+  // Render the markup into root, bind the controls and load the data; resolves once drawn.
+  function init() {
+    root.classList.add("timeline");
+    root.innerHTML = timelineMarkup(id, features, config);
+    const container = byId("container");
+
+    // Dimensions
+    width = Math.max(320, (container.clientWidth || 0) - 40);
+    DOT_CENTER_Y = LAYOUT.top + LAYOUT.chartHeight / 2;
+
+    // Create d3 selection
+    svg = d3.select(byId("chart"))
+      .attr("viewBox", `0 0 ${width} ${getTotalHeight()}`)
+      .attr("preserveAspectRatio", "xMidYMid meet");
+
+    // Resize
+    window.addEventListener("resize", () => {
+      clearTimeout(resizeChart._timer);
+      resizeChart._timer = setTimeout(resizeChart, 200);
+    }, { signal });
+
+    // Back/forward between shared states
+    if (syncUrl) window.addEventListener("popstate", () => {
+      if (!URL_SYNC_READY) return;
+      const state = readUrlState();
+      if ((state.lang || DEFAULT_LOCALE) !== locale) setLocale(state.lang || DEFAULT_LOCALE);
+      URL_SYNC_PAUSED = true;
+      applyFilterState(state);
+      updateChart();
+      applyViewState(state);
+      URL_SYNC_PAUSED = false;
+    }, { signal });
+
+    // Mobile viewBox height updates
+    window.matchMedia(MOBILE_MQ).addEventListener("change", () => {
+      if (svg) svg.attr("viewBox", `0 0 ${width} ${getTotalHeight()}`);
+      updateChart();
+    }, { signal });
+
+    localeListeners.add(onLocaleChange);
+    themeListeners.add(onThemeChange);
+    setupMenus();
+    setupDetailToggle();
+    bindZoomButtons();
+    setupLanguageSwitcher(byId("langSelect"));
+    setupThemeMenu(byId("themeMenu"));
+    setupExport();
+    setupListView();
+
+    // Enable manual tour start (waits for the dots the tour points at)
+    byId("helpTourBtn")?.addEventListener("click", () => {
+      // if the tour was already shown and closed, allow re-run:
+      TOUR_STARTED = false;
+      runTutorialWhenReady(() => startTour(root));
+    });
+
+    // Load data (sheet, local file or inline rows), falling back to the bundled snapshot
+    return loadTimelineData(resolveDataSource(), loadCategorySheet())
+    .then(({ rows, fromSnapshot, updated, sheet }) => {
+      if (destroyed) return;
+      if (fromSnapshot) showDataBanner(updated);
+      rawData = rows;
+      localizeEvents(rawData);
+      setupCategories(rawData, sheet);
+      FULL_EXTENT = [d3.min(rawData, d => d.date), d3.max(rawData, d => d.spanEnd || d.date)];
+      renderDiagnostics(dataIssues, rows.length);
+      setupFilters();
+      setupMap();
+
+      // restore filters / zoom / selection from a shared link
+      const urlState = readUrlState();
+      applyFilterState(urlState);
+      updateChart();
+      applyViewState(urlState);
+      URL_SYNC_READY = true;
+      writeUrlState({ push: false });
+    })
+
+    .catch((err) => {
+      console.error("Data load failed:", err?.message || err, err);
+      d3.select(byId("detailContent")).html(
+        `<p style="color:var(--tl-error, #b00)">${t("data.failed")}<br>
+          <small>${escapeHtml((err && (err.message || err.status || err.toString())) || "")}</small>
+         </p>`
+      );
+    });
+  }
+
+  // Called by setLocale() for every timeline on the page.
+  function onLocaleChange({ redraw }) {
+    localizeEvents(rawData);
+    byId("statusDropdown")?.querySelectorAll(".dropdown-option").forEach((opt) => {
+      opt.innerHTML = statusOptionHtml(opt.dataset.value);
+    });
+    const select = byId("langSelect");
+    if (select) select.value = locale;
+    if (redraw) refreshViews();
+  }
+
+  // Called by setTheme() for every timeline on the page.
+  function onThemeChange({ redraw }) {
+    syncThemeMenu(byId("themeMenu"));
+    if (!categories.size) return;
+    styleCategories();
+    svg?.select("defs").selectAll("pattern").remove(); // split-dot pies, recreated in the new colours
+    if (redraw) refreshViews();
+  }
+
+  // Redraw everything that holds translated text or theme colours, keeping filters, zoom and selection.
+  function refreshViews() {
+    if (byId("dataBanner")) showDataBanner(showDataBanner.updated);
+    if (!svg || !rawData.length) return;
+
+    const domain = currentXScale?.domain();
+    updateChart();
+    if (domain && currentXScale) {
+      setDomainAndRedraw(currentXScale, svg.select(".x-axis"), svg.select(".dots"), filteredData,
+        domain[0], domain[1], { repack: true });
+    }
+    renderPinned();
+    if (lastClicked) renderDetail(lastClicked);
+    else d3.select(byId("detailContent")).html(`<p>${t("detail.empty")}</p>`);
+    writeUrlState({ push: false });
+  }
+
+  // =============== Filters UI ===============
+
+  function setupFilters() {
+    const toTitleCase = (s) =>
+      s.replace(/\b([\p{L}\p{N}]+(?:[-’'][\p{L}\p{N}]+)*)\b/gu,
+                (w) => w.charAt(0).toUpperCase() + w.slice(1));
+
+    // Topics
+    const topics = Array.from(new Set(rawData.flatMap(d => d.validTopics).filter(Boolean))).sort();
+    const topicDropdown = byId("topicDropdown");
+    if (topicDropdown) {
+      const itemsForUI = topics.map(toTitleCase);
+      topicDropdown.__valueLookup = new Map(itemsForUI.map((label, i) => [label, topics[i]]));
+      buildSelectableList(topicDropdown, itemsForUI, updateChart);
+
+    }
+
+    // Sources
+    const sources = Array.from(new Set(rawData.flatMap(d => d.sourceNames))).sort();
+    const sourceDropdown = byId("sourceDropdown");
+    if (sourceDropdown) {
+      buildSelectableList(sourceDropdown, sources, updateChart);
+
+    }
+
+    // Countries
+    const countries = uniqueSorted(rawData.flatMap(d => d.countries));
+    const countryDropdown = byId("countryDropdown");
+    if (countryDropdown) {
+      countryDropdown.closest(".country-dropdown-wrapper").hidden = !countries.length;
+      buildSelectableList(countryDropdown, countries, updateChart);
+    }
+
+    // Claim status (only when the data has a Claim_Status column in use)
+    const statuses = claimStatusKeys(rawData);
+    const statusDropdown = byId("statusDropdown");
+    if (statusDropdown) {
+      statusDropdown.closest(".status-dropdown-wrapper").hidden = !statuses.length;
+      buildSelectableList(statusDropdown, statuses, updateChart, statusOptionHtml);
+    }
+
+    // Other controls
+    byId("keyEventFilter")?.addEventListener("change", updateChart);
+    byId("laneSelect")?.addEventListener("change", (e) => setLaneMode(e.target.value));
+    byId("search")?.addEventListener("input", updateChart);
+    setupSearchAutocomplete();
+    setupSearchNav(); // after autocomplete, which claims Enter while a suggestion is active
+  }
+
+  // Status label in the active language ("none" = no status given); statuses the app doesn't
+  // know show as written in the sheet.
+  function statusName(key) {
+    if (MESSAGES_EN[`status.${key}`]) return t(`status.${key}`);
+    return rawData.find(d => d.claimStatus === key)?.displayClaimStatus || key;
+  }
+
+  function statusOptionHtml(key) {
+    return `${claimStatusIcon(key)}${escapeHtml(statusName(key))}`;
+  }
+
+  // =============== Search ===============
+
+  let lastGoodQuery = null; // keeps results stable while a query is being typed
+  let searchTerms = [];      // free-text terms of the active query, for highlighting
+  let searchMatchIndex = -1; // position in the chronological match list (prev/next)
+
+  // Compile the #search text; on error show it inline and keep the last valid query.
+  function getSearchQuery(input) {
+    try {
+      const query = compileSearchQuery(input);
+      lastGoodQuery = query;
+      showSearchError(query?.hint || "", { invalid: false });
+      return query;
+    } catch (err) {
+      showSearchError(err.message);
+      return lastGoodQuery;
+    }
+  }
+
+  // invalid: false for hints that don't stop the search (a likely mistyped field name)
+  function showSearchError(message, { invalid = true } = {}) {
+    const el = byId("searchError");
+    const input = byId("search");
+    if (el) {
+      el.textContent = message;
+      el.hidden = !message;
+    }
+    if (input) {
+      if (message && invalid) input.setAttribute("aria-invalid", "true");
+      else input.removeAttribute("aria-invalid");
+    }
+  }
+
+  // --- Hit highlighting and previous/next match ---
+
+  // Escape text and wrap the active free-text search terms in <mark>. Matching runs on the
+  // raw text and each piece is escaped on its own, so a term never lands inside an entity.
+  function highlightTerms(text, terms = searchTerms) {
+    const raw = String(text ?? "");
+    const words = terms.filter(Boolean).map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    if (!words.length) return escapeHtml(raw);
+    // split() with a capture group puts the matches at odd indices
+    return raw.split(new RegExp(`(${words.join("|")})`, "gi"))
+      .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join("");
+  }
+
+  function isSearchActive() {
+    return !!(byId("search")?.value || "").trim() && !!lastGoodQuery;
+  }
+
+  function searchMatches() {
+    return isSearchActive() ? chronological(filteredData) : [];
+  }
+
+  // Counter ("2 of 5") and button state; called after every filter pass.
+  function updateSearchNav() {
+    const counter = byId("searchCount");
+    const prev = byId("searchPrevBtn");
+    const next = byId("searchNextBtn");
+    const matches = searchMatches();
+    const active = isSearchActive();
+
+    searchMatchIndex = matches.indexOf(lastClicked);
+    if (counter) {
+      counter.hidden = !active;
+      counter.textContent = !matches.length
+        ? t("search.noMatches")
+        : searchMatchIndex >= 0
+          ? t("search.position", { i: searchMatchIndex + 1, n: matches.length })
+          : t("search.matches", { n: matches.length });
+    }
+    [prev, next].forEach((btn) => {
+      if (!btn) return;
+      btn.hidden = !active;
+      btn.disabled = !matches.length;
+    });
+  }
+
+  // Step chronologically through matches, panning the chart and selecting each one.
+  function stepSearchMatch(step) {
+    const matches = searchMatches();
+    if (!matches.length) return;
+    const from = searchMatchIndex >= 0 ? searchMatchIndex : step > 0 ? -1 : matches.length;
+    const d = matches[(from + step + matches.length) % matches.length];
+
+    revealEvent(d);
+    selectEvent(d);
+    updateSearchNav();
+  }
+
+  function setupSearchNav() {
+    const input = byId("search");
+    if (!input || input.__searchNav) return;
+    input.__searchNav = true;
+
+    byId("searchPrevBtn")?.addEventListener("click", () => stepSearchMatch(-1));
+    byId("searchNextBtn")?.addEventListener("click", () => stepSearchMatch(1));
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      stepSearchMatch(e.shiftKey ? -1 : 1);
+    });
+  }
+
+  function setupSearchAutocomplete() {
+    const input = byId("search");
+    const list = byId("searchSuggest");
+    if (!input || !list || input.__autocomplete) return;
+    input.__autocomplete = true;
+
+    let items = [];
+    let active = -1;
+
+    const close = () => {
+      items = [];
+      active = -1;
+      list.hidden = true;
+      list.innerHTML = "";
+      input.setAttribute("aria-expanded", "false");
+      input.removeAttribute("aria-activedescendant");
+    };
+
+    const render = () => {
+      if (!items.length) return close();
+      list.innerHTML = items.map((it, i) => `
+        <li id="${id("searchSuggest")}-${i}" role="option" aria-selected="${i === active}" data-index="${i}">
+          <span>${escapeHtml(it.label)}</span>${it.hint ? `<small>${escapeHtml(it.hint)}</small>` : ""}
+        </li>`).join("");
+      list.hidden = false;
+      input.setAttribute("aria-expanded", "true");
+      if (active >= 0) input.setAttribute("aria-activedescendant", `${id("searchSuggest")}-${active}`);
+      else input.removeAttribute("aria-activedescendant");
+    };
+
+    const accept = (i) => {
+      const it = items[i];
+      if (!it) return;
+      const caret = input.selectionStart ?? input.value.length;
+      const { start } = tokenAtCaret(input.value, caret);
+      input.value = input.value.slice(0, start) + it.insert + input.value.slice(caret);
+      const pos = start + it.insert.length;
+      input.setSelectionRange?.(pos, pos);
+      close();
+      input.dispatchEvent(new Event("input"));
+      input.focus();
+    };
+
+    input.addEventListener("input", () => {
+      const caret = input.selectionStart ?? input.value.length;
+      items = searchSuggestions(tokenAtCaret(input.value, caret).text, rawData);
+      active = -1;
+      render();
+    });
+
+    input.addEventListener("keydown", (e) => {
+      if (list.hidden) return;
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        active = (active + step + items.length) % items.length;
+        render();
+      } else if ((e.key === "Enter" || e.key === "Tab") && active >= 0) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        accept(active);
+      } else if (e.key === "Escape") {
+        close();
+      }
+    });
+
+    // mousedown (not click) so the input keeps focus
+    list.addEventListener("mousedown", (e) => {
+      const li = e.target.closest("li[data-index]");
+      if (!li) return;
+      e.preventDefault();
+      accept(+li.dataset.index);
+    });
+
+    input.addEventListener("blur", () => setTimeout(close, 100));
+  }
+
+  // =============== Core filter + redraw ===============
+
+  function updateChart() {
+    // --- dropdown nodes ---
+    const topicDropdown  = byId("topicDropdown");
+    const sourceDropdown = byId("sourceDropdown");
+
+    // --- selected labels safely ---
+    const topicLabels = getSelectedValues(topicDropdown) || [];
+    let selectedTopics = topicLabels;
+
+    // map UI labels (Title Case) -> canonical tokens (lowercase)
+    if (topicDropdown && topicDropdown.__valueLookup instanceof Map) {
+      selectedTopics = topicLabels
+        .map(label => topicDropdown.__valueLookup.get(label) ?? label)
+        .filter(Boolean);
+    }
+    selectedTopics = Array.from(new Set(selectedTopics)); // de-dupe
+
+    let selectedSources = getSelectedValues(sourceDropdown) || [];
+
+    const countryDropdown   = byId("countryDropdown");
+    const selectedCountries = getSelectedValues(countryDropdown) || [];
+    const countryListCount  = countryDropdown ? countryDropdown.querySelectorAll(".dropdown-option").length : 0;
+    const useCountryFilter  = countryListCount > 0 && selectedCountries.length < countryListCount;
+
+    const statusDropdown   = byId("statusDropdown");
+    const selectedStatuses = getSelectedValues(statusDropdown) || [];
+    const statusListCount  = statusDropdown ? statusDropdown.querySelectorAll(".dropdown-option").length : 0;
+    const useStatusFilter  = statusListCount > 0 && selectedStatuses.length < statusListCount;
+
+    // --- fallbacks if menus are empty/not built ---
+    const allTopics  = Array.from(new Set(rawData.flatMap(d => (d.validTopics||[])).filter(Boolean)));
+    const allSources = Array.from(new Set(rawData.flatMap(d => d.sourceNames)));
+
+    const topicListCount  = topicDropdown  ? topicDropdown.querySelectorAll(".dropdown-option").length  : 0;
+    const sourceListCount = sourceDropdown ? sourceDropdown.querySelectorAll(".dropdown-option").length : 0;
+    const useTopicFilter  = topicListCount  > 0;
+    const useSourceFilter = sourceListCount > 0;
+
+    if (!useTopicFilter)  selectedTopics  = allTopics;
+    if (!useSourceFilter) selectedSources = allSources;
+
+    // --- toggles & search ---
+    const onlyKeyEvents = !!byId("keyEventFilter")?.checked;
+    const searchQuery = getSearchQuery(byId("search")?.value || "");
+
+    // --- legend categories ---
+    const activeCats = [...categories.keys()].filter(k => selectedCats.has(k));
+
+    if (activeCats.length === 0 && !selectedCats.has("key")) {
+      filteredData = [];
+      keyEvents = [];
+      drawChart([]);
+      renderListView();
+      renderMap();
+      updateSearchNav();
+      announceResultCount(0);
+      writeUrlState({ push: true });
+      notifyFilterChange();
+      return;
+    }
+
+    const isAllTopicsSelected  = useTopicFilter  ? (selectedTopics.length  === topicListCount)  : true;
+    const isAllSourcesSelected = useSourceFilter ? (selectedSources.length === sourceListCount) : true;
+
+    // --- main filter ---
+    const data = rawData.filter((d) => {
+      // 1) category (legend)
+      const catMatch = d.categoryKeys.some(k => selectedCats.has(k));
+
+      // 2) allow if not key or key is enabled
+      const keyOk = selectedCats.has("key") || !d.keyEvent;
+
+      // 3) topic
+      let topicMatch = true;
+      if (useTopicFilter) {
+        if (selectedTopics.length === 0) topicMatch = false;
+        else if (!isAllTopicsSelected) {
+          const evTopics = d.validTopics || [];
+          topicMatch = evTopics.length > 0 && evTopics.some(t => selectedTopics.includes(t));
+        }
+      }
+
+      // 4) source
+      let sourceMatch = true;
+      if (useSourceFilter) {
+        if (selectedSources.length === 0) sourceMatch = false;
+        else if (!isAllSourcesSelected) {
+          // an event with several sources matches when any of them is selected
+          sourceMatch = d.sourceNames.some(s => selectedSources.includes(s));
+        }
+      }
+
+      // 5) country
+      const countryMatch = !useCountryFilter || d.countries.some(c => selectedCountries.includes(c));
+
+      // 6) claim status
+      const statusMatch = !useStatusFilter || selectedStatuses.includes(d.claimStatus || "none");
+
+      // 7) key-only toggle
+      const keyMatch = !onlyKeyEvents || d.keyEvent;
+
+      // 8) search query (free text, field filters, date ranges)
+      const searchMatch = !searchQuery || searchQuery.test(d);
+
+      return catMatch && keyOk && topicMatch && sourceMatch && countryMatch && statusMatch && keyMatch && searchMatch;
+    });
+    searchTerms = searchQuery?.terms || [];
+
+    filteredData = data;
+    keyEvents = data.filter(d => d.keyEvent);
+    drawChart(data);
+    renderListView();
+    renderMap();
+    updateSearchNav();
+    announceResultCount(data.length);
+    writeUrlState({ push: true });
+    notifyFilterChange();
+  }
+
+  // Tell createTimeline() listeners when the filters changed (not on every redraw).
+  function notifyFilterChange() {
+    const filters = getFilters();
+    const key = JSON.stringify(filters);
+    if (key === notifyFilterChange._last) return;
+    notifyFilterChange._last = key;
+    dispatch.call("filterchange", api, { filters, count: filteredData.length });
+  }
+
+
+  // --- dropdown menus, export menu and detail toggle
+  function setupMenus() {
+    const $ = (name) => byId(name);
+
+    // prevent accidental form submits from the controls
+    $('controls')?.addEventListener('submit', (e) => e.preventDefault());
+
+    // elements
+    const topicBtn   = $('topicDropdownBtn');
+    const topicMenu  = $('topicDropdown');
+    const sourceBtn  = $('sourceDropdownBtn');
+    const sourceMenu = $('sourceDropdown');
+    const countryBtn  = $('countryDropdownBtn');
+    const countryMenu = $('countryDropdown');
+    const exportBtn  = $('exportBtn');
+    const exportMenu = $('exportMenu');
+    const themeBtn   = $('themeBtn');
+    const themeMenu  = $('themeMenu');
+
+    const detail     = $('detailView');
+    const detailTgl  = detail?.querySelector('.detail-toggle');
+
+    // ensure buttons don't submit forms
+    topicBtn && (topicBtn.type = 'button');
+    sourceBtn && (sourceBtn.type = 'button');
+    countryBtn && (countryBtn.type = 'button');
+    exportBtn && (exportBtn.type = 'button');
+    themeBtn && (themeBtn.type = 'button');
+
+    // toggle handlers
+    topicBtn?.addEventListener('click', (e) => {
+      e.preventDefault(); e.stopPropagation();
+      topicMenu?.classList.toggle('show');
+      sourceMenu?.classList.remove('show');
+      countryMenu?.classList.remove('show');
+      topicBtn.setAttribute('aria-expanded', topicMenu?.classList.contains('show'));
+    });
+
+    sourceBtn?.addEventListener('click', (e) => {
+      e.preventDefault(); e.stopPropagation();
+      sourceMenu?.classList.toggle('show');
+      topicMenu?.classList.remove('show');
+      countryMenu?.classList.remove('show');
+      sourceBtn.setAttribute('aria-expanded', sourceMenu?.classList.contains('show'));
+    });
+
+    countryBtn?.addEventListener('click', (e) => {
+      e.preventDefault(); e.stopPropagation();
+      countryMenu?.classList.toggle('show');
+      topicMenu?.classList.remove('show');
+      sourceMenu?.classList.remove('show');
+      countryBtn.setAttribute('aria-expanded', countryMenu?.classList.contains('show'));
+    });
+
+    exportBtn?.addEventListener('click', (e) => {
+      e.preventDefault(); e.stopPropagation();
+      exportMenu?.classList.toggle('show');
+      topicMenu?.classList.remove('show');
+      sourceMenu?.classList.remove('show');
+      countryMenu?.classList.remove('show');
+      themeMenu?.classList.remove('show');
+      exportBtn.setAttribute('aria-expanded', exportMenu?.classList.contains('show'));
+    });
+
+    themeBtn?.addEventListener('click', (e) => {
+      e.preventDefault(); e.stopPropagation();
+      themeMenu?.classList.toggle('show');
+      topicMenu?.classList.remove('show');
+      sourceMenu?.classList.remove('show');
+      countryMenu?.classList.remove('show');
+      exportMenu?.classList.remove('show');
+      themeBtn.setAttribute('aria-expanded', themeMenu?.classList.contains('show'));
+    });
+
+    const closeMenus = () => {
+      topicMenu?.classList.remove('show');
+      sourceMenu?.classList.remove('show');
+      countryMenu?.classList.remove('show');
+      exportMenu?.classList.remove('show');
+      themeMenu?.classList.remove('show');
+      topicBtn?.setAttribute('aria-expanded', 'false');
+      sourceBtn?.setAttribute('aria-expanded', 'false');
+      countryBtn?.setAttribute('aria-expanded', 'false');
+      exportBtn?.setAttribute('aria-expanded', 'false');
+      themeBtn?.setAttribute('aria-expanded', 'false');
+    };
+
+    // Close menus only when clicking/tapping OUTSIDE the menus or their buttons
+    const menuParts = [topicMenu, sourceMenu, countryMenu, topicBtn, sourceBtn, countryBtn, exportMenu, exportBtn, themeMenu, themeBtn];
+    document.addEventListener('click', (e) => {
+      if (menuParts.some(el => el?.contains(e.target))) return; // don't close if the tap/click started inside
+      closeMenus();
+    }, { passive: true, signal });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeMenus();
+    }, { signal });
+
+    // keep clicks inside menus from closing them
+    topicMenu?.addEventListener('click', (e) => e.stopPropagation());
+    sourceMenu?.addEventListener('click', (e) => e.stopPropagation());
+    countryMenu?.addEventListener('click', (e) => e.stopPropagation());
+
+    // detail view minimize / expand
+    detailTgl?.addEventListener('click', (e) => {
+      e.preventDefault();
+      detail?.classList.toggle('collapsed');
+    });
+  }
+
+
+  // =============== Drawing & interactions ===============
+
+  // Helper used by wheel/drag to apply new domain and refresh positions
+  function setDomainAndRedraw(x, xAxisG, dotsGroup, data, start, end, { repack }) {
+    // update domain + axis
+    x.domain([start, end]);
+    currentXScale = x;
+    xAxisG.call(d3.axisBottom(x).ticks(6).tickFormat(timeTickFormat));
+
+    // bins that overflow at this zoom level fold into bars
+    refreshAggregates(data, x);
+
+    // always update screen positions from scale + cached offsets
+    if (canvasView) {
+      stopCanvasTween();
+      drawCanvasDots();
+    }
+    dotsGroup.selectAll("path.dot")
+      .interrupt("layout")
+      .attr("transform", d => dotTransform(d, x));
+    dotsGroup.select(".spans").selectAll("path").interrupt("layout");
+    positionSpans(dotsGroup, x);
+    drawStatusMarks(x);
+    drawPinMarkers(x);
+    drawRelatedArcs(x);
+
+    // repack for the new zoom level (cached, or debounced in the worker)
+    if (repack) requestRepack(x, data);
+
+    // redraw annotations for the new domain
+    drawAnnotations(x, data);
+    syncOverviewBrush(x.domain());
+
+    // pan/zoom gestures fire continuously: replace, don't push
+    clearTimeout(setDomainAndRedraw._urlTimer);
+    setDomainAndRedraw._urlTimer = setTimeout(() => writeUrlState({ push: false }), 250);
+    notifyZoom();
+  }
+
+  // Tell createTimeline() listeners about the zoom window once it settles.
+  function notifyZoom() {
+    clearTimeout(notifyZoom._timer);
+    notifyZoom._timer = setTimeout(() => {
+      if (!currentXScale) return;
+      const [from, to] = currentXScale.domain();
+      const key = `${+from}:${+to}`;
+      if (key === notifyZoom._last) return;
+      notifyZoom._last = key;
+      dispatch.call("zoom", api, { from, to });
+    }, 250);
+  }
+
+  function enableTouchZoomPan(svg, x, xAxisG, dotsGroup, data) {
+    // Track active pointers
+    const active = new Map(); // id -> {x,y}
+    let baseDomain = null;    // domain snapshot at gesture start
+    let panLastX = null;      // last x for 1-finger pan
+    let pinchStartDist = null;
+    let pinchStartMidX = null;
+
+    const extent = FULL_EXTENT || d3.extent(rawData, d => d.date);
+    const min = +extent[0], max = +extent[1];
+
+    const onPointerDown = (e) => {
+      svg.node().setPointerCapture(e.pointerId);
+      active.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (active.size === 1) {
+        // 1 finger: start pan
+        panLastX = e.clientX;
+        baseDomain = x.domain().map(d => +d);
+      } else if (active.size === 2) {
+        // 2 fingers: start pinch
+        const pts = [...active.values()];
+        pinchStartDist = Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y);
+        pinchStartMidX = (pts[0].x + pts[1].x) / 2;
+        baseDomain = x.domain().map(d => +d);
+      }
+      e.preventDefault();
+    };
+
+    const onPointerMove = (e) => {
+      if (!active.has(e.pointerId)) return;
+      active.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      // 2-finger pinch zoom
+      if (active.size === 2 && pinchStartDist) {
+        const pts = [...active.values()];
+        const dist = Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y);
+        if (dist <= 0) return;
+
+        const k = pinchStartDist / dist; // >1 means zoom out
+        const [d0, d1] = baseDomain;
+        const midClientX = (pts[0].x + pts[1].x) / 2;
+        const bbox = svg.node().getBoundingClientRect();
+        const localX = midClientX - bbox.left;            // svg-local x
+        const anchorDate = x.invert(localX);              // date under fingers
+        const a = +anchorDate;
+
+        // Compute proposed new domain about the anchor
+        let newStart = new Date(a - (a - d0) * k);
+        let newEnd   = new Date(a + (d1 - a) * k);
+
+        // Clamp to dataset & apply
+        [newStart, newEnd] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
+        const repack = Math.abs((+newEnd - +newStart) - (d1 - d0)) > 5;
+        setDomainAndRedraw(x, xAxisG, dotsGroup, data, newStart, newEnd, { repack });
+        e.preventDefault();
+        return;
+      }
+
+      // 1-finger pan
+      if (active.size === 1 && panLastX != null) {
+        const dxPx = e.clientX - panLastX;
+        panLastX = e.clientX;
+
+        // convert pixel delta → time delta using current scale
+        const dt = x.invert(0) - x.invert(dxPx);
+        const [s0, e0] = x.domain().map(d => +d);
+        let newStart = new Date(s0 + dt);
+        let newEnd   = new Date(e0 + dt);
+
+        [newStart, newEnd] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
+        setDomainAndRedraw(x, xAxisG, dotsGroup, data, newStart, newEnd, { repack: false });
+        e.preventDefault();
+      }
+    };
+
+    const onPointerUp = (e) => {
+      if (svg.node().hasPointerCapture?.(e.pointerId)) {
+        svg.node().releasePointerCapture(e.pointerId);
+      }
+      active.delete(e.pointerId);
+      if (active.size < 2) {
+        pinchStartDist = null;
+        pinchStartMidX = null;
+      }
+      if (active.size === 0) {
+        panLastX = null;
+        baseDomain = null;
+      }
+      e.preventDefault();
+    };
+
+    svg
+      .on("pointerdown", onPointerDown, { passive: false })
+      .on("pointermove", onPointerMove, { passive: false })
+      .on("pointerup", onPointerUp, { passive: false })
+      .on("pointercancel", onPointerUp, { passive: false })
+      .on("pointerleave", onPointerUp, { passive: false });
+  }
+
+
+  function drawChart(data) {
+    // clear dynamic layers
+    svg.selectAll(".annotations").remove();
+
+    if (!data.length) {
+      // keep axis/legend if any
+      removeDotsLayer();
+      svg.selectAll(".lanes, .aggregates").remove();
+      drawOverview(data);
+      return;
+    }
+
+    // 1) scale + axis (start fully zoomed out once)
+    const initialFit = !drawChart._didInitialFit && FULL_EXTENT;
+    const x = d3.scaleTime()
+      .domain(initialFit ? FULL_EXTENT : d3.extent(data, d => d.date))
+      .range([40, width - 40]);
+    if (initialFit) drawChart._didInitialFit = true;
+
+    let xAxisG = svg.select(".x-axis");
+    currentXScale = x;
+    notifyZoom();
+    if (xAxisG.empty()) {
+      xAxisG = svg.append("g")
+        .attr("class", "x-axis")
+        .attr("transform", `translate(0,${AXIS_Y})`);
+    }
+    xAxisG.call(d3.axisBottom(x).ticks(6).tickFormat(timeTickFormat));
+
+    // soft edge for dots whose date is only known to the month/year
+    if (svg.select(`#${id("fuzzyEdge")}`).empty()) {
+      const defs = svg.append("defs");
+      defs.append("filter")
+        .attr("id", id("fuzzyEdge"))
+        .append("feGaussianBlur").attr("stdDeviation", 1.2);
+
+      // arrowhead for related-event arcs
+      defs.append("marker")
+        .attr("id", id("relatedArrow"))
+        .attr("class", "related-arrow")
+        .attr("viewBox", "0 0 10 10")
+        .attr("refX", 9).attr("refY", 5)
+        .attr("markerWidth", 6).attr("markerHeight", 6)
+        .attr("orient", "auto")
+        .append("path").attr("d", "M0,0L10,5L0,10Z");
+    }
+
+    // 2) packed positions: reuse a cached layout now, otherwise the worker fills them in (step 8)
+    data.forEach(d => { if (d.viewed === undefined) d.viewed = false; });
+    computeLanes(data);
+    const cached = layoutCache.get(layoutKey(data, x));
+    if (cached) applyLayout(data, cached);
+
+    // 3) tooltip (singleton)
+    let tooltip = d3.select("body").select(".tooltip");
+    if (tooltip.empty()) {
+      tooltip = d3.select("body").append("div")
+        .attr("class", "tooltip")
+        .style("opacity", 0);
+    }
+
+    // 4) dots: SVG circles, or a canvas layer for large sets
+    const useCanvas = wantsCanvas(data);
+    let dotsGroup = svg.select(".dots");
+    if (!dotsGroup.empty() && dotsGroup.classed("canvas-dots") !== useCanvas) {
+      removeDotsLayer();
+      dotsGroup = svg.select(".dots");
+    }
+    if (dotsGroup.empty()) {
+      dotsGroup = svg.append("g").attr("class", "dots").classed("canvas-dots", useCanvas);
+      if (useCanvas) setupCanvasLayer(dotsGroup);
+      else dotsGroup.append("g").attr("class", "spans");
+      dotsGroup.append("g").attr("class", "related-arcs").attr("aria-hidden", "true");
+    }
+    const focusAnchor = data.includes(lastClicked) ? lastClicked : chronological(data)[0];
+    drawLanes();
+
+    if (useCanvas) {
+      dotsGroup.select(".dot-canvas").attr("width", width).attr("height", getTotalHeight());
+      canvasView.data = data;
+      canvasView.proxy.datum(focusAnchor).call(bindDotEvents, tooltip);
+      bindCanvasEvents(tooltip);
+    } else {
+      // ranged dates as capsules, imprecise ones as whiskers (behind the dots)
+      dotsGroup.select(".spans")
+        .selectAll("path")
+        .data(data.filter(d => d.spanEnd), d => d.uid)
+        .join(enter => enter.append("path").attr("d", d => spanPath(d, x)))
+        .attr("class", d => (d.rangeEnd ? "range-bar" : "date-whisker"))
+        .attr("fill", d => (d.rangeEnd ? color(d) : "none"))
+        .attr("stroke", d => color(d));
+
+      // keyed join, so surviving dots keep their element (and focus) and glide to new positions
+      // dots are symbol paths (shape per category) placed by transform
+      dotsGroup.selectAll("path.dot")
+        .data(data, d => d.uid)
+        .join(
+          enter => enter.append("path")
+            .attr("transform", d => dotTransform(d, x))
+            .attr("d", d => dotPath(d, 0))
+            .call(e => e.transition("enter").duration(LAYOUT_TRANSITION_MS)
+              .attrTween("d", d => k => dotPath(d, radius * k))),
+          update => update.attr("d", d => dotPath(d)),
+          exit => exit
+            .classed("dot", false)
+            .call(e => e.transition("exit").duration(200)
+              .attrTween("d", d => k => dotPath(d, radius * (1 - k))).remove())
+        )
+        .classed("dot", true)
+        .attr("fill", d => dotFill(d))
+        .attr("filter", d => (d.spanEnd && !d.rangeEnd ? `url(#${id("fuzzyEdge")})` : null))
+        .attr("tabindex", d => (d === focusAnchor ? 0 : -1))
+        .call(bindDotEvents, tooltip);
+    }
+
+    // keyboard: one tab stop for the whole set, arrows move chronologically
+    dotsGroup.on("keydown", onDotKeydown);
+
+    refreshAggregates(data, x);
+    styleDots();
+
+    // 5) mouse-wheel zoom (disabled on touch)
+    const IS_TOUCH = "ontouchstart" in window || navigator.maxTouchPoints > 0;
+    if (!IS_TOUCH) {
+      svg.on("wheel", (event) => {
+        event.preventDefault();
+
+        const mouseX = d3.pointer(event)[0];
+        const anchorDate = x.invert(mouseX);
+        const [d0, d1] = x.domain().map(d => +d);
+        const extent = FULL_EXTENT || d3.extent(filteredData, d => d.date);
+        const min       = +extent[0], max = +extent[1];
+
+        const factor = event.deltaY > 0 ? 1.1 : 0.9;
+        const k = Math.max(0.0001, Math.min(1000, factor));
+
+        const a = +anchorDate;
+        const newStart = new Date(a - (a - d0) * k);
+        const newEnd   = new Date(a + (d1 - a) * k);
+
+        let [start2, end2] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
+        if ((+end2 - +start2) <= MIN_SPAN_MS) {
+     // don’t zoom in further
+     return;
+   }
+
+        const atFullExtent  = d0 === min && d1 === max;
+        const wantFullExtent = +start2 === min && +end2 === max;
+        if (atFullExtent && wantFullExtent && event.deltaY > 0) return;
+
+        const oldSpan = d1 - d0;
+        const newSpan = +end2 - +start2;
+        const repack  = Math.abs(newSpan - oldSpan) > 5;
+
+        setDomainAndRedraw(x, xAxisG, dotsGroup, data, start2, end2, { repack });
+      });
+    } else {
+      svg.on("wheel", null);
+    }
+
+  // 6) drag to pan (keeps dot clicks working)
+  {
+    let lastX = null;
+
+    const dragBehavior = d3.drag()
+      // Start a drag unless the pointer began on a dot, legend, or annotation box
+      .filter((event) => {
+        const t = event.target;
+        if (!t || !t.closest) return true;
+        // don’t steal click from dots, legend, or anno labels/boxes
+        return !t.closest(".dot, .legend, .annotation-box, .key-event-label, a");
+      })
+      .on("start", (event) => {
+        lastX = event.x;
+        svg.style("cursor", "grabbing");
+      })
+      .on("drag", (event) => {
+        if (lastX == null) return;
+        const dxPx = event.x - lastX;
+        lastX = event.x;
+
+        // Convert pixel delta to time delta
+        const dt = x.invert(0) - x.invert(dxPx);
+
+        // Shift current domain by dt, clamp to FULL_EXTENT (or filtered if not set)
+        const [s0, e0] = x.domain().map(d => +d);
+        let newStart = new Date(s0 + dt);
+        let newEnd   = new Date(e0 + dt);
+
+        const extent = FULL_EXTENT || d3.extent(filteredData, d => d.date);
+        [newStart, newEnd] = clampDomain([newStart, newEnd], [extent[0], extent[1]]);
+
+        setDomainAndRedraw(x, xAxisG, svg.select(".dots"), data, newStart, newEnd, { repack: false });
+      })
+      .on("end", () => {
+        lastX = null;
+        svg.style("cursor", "grab");
+      });
+
+    svg.call(dragBehavior).style("cursor", "grab");
+  }
+
+
+    // enable touch pinch + 1-finger pan
+  if (navigator.maxTouchPoints > 0) {
+    enableTouchZoomPan(svg, x, xAxisG, svg.select(".dots"), data);
+  }
+    // 7) annotations & legend
+    drawAnnotations(x, data);
+    drawLegend();
+    drawOverview(data);
+
+    // 8) pack (or re-pack) for this filter set and zoom level
+    requestRepack(x, data, { immediate: true });
+  }
+
+  // =============== Beeswarm layout (worker + cache) ===============
+
+  // Packed positions are stored per event as d.xOffset (from the ideal x) and d.ySim, so
+  // panning only needs the scale. Repacking happens in scripts/layout-worker.js when
+  // available, and results are cached per filter set, zoom level and lane mode.
+  const layoutCache = new Map();   // layoutKey -> Map(datum -> { xOffset, ySim })
+  const layoutPending = new Map(); // request id -> { nodes, resolve }
+  let layoutWorker;                // undefined = not started yet, null = unavailable
+  let layoutRequestId = 0;
+  let layoutSeq = 0;               // newest packLayout() call; older results are only cached
+
+  // Same forces as scripts/layout-worker.js (main-thread fallback).
+  function simulateBeeswarm(nodes, r, ticks = LAYOUT_TICKS) {
+    const simulation = d3.forceSimulation(nodes)
+      .force("x", d3.forceX(d => d.px).strength(1))
+      .force("y", d3.forceY(d => d.py))
+      .force("collide", d3.forceCollide(r + 1))
+      .stop();
+    for (let i = 0; i < ticks; i++) simulation.tick();
+    return nodes.map(n => [n.x, n.y]);
+  }
+
+  function getLayoutWorker() {
+    if (layoutWorker !== undefined) return layoutWorker;
+    try {
+      layoutWorker = new Worker(new URL("layout-worker.js", new URL(SCRIPT_BASE, window.location.href)));
+      layoutWorker.onmessage = ({ data }) => {
+        layoutPending.get(data.id)?.resolve(data.positions);
+        layoutPending.delete(data.id);
+      };
+      layoutWorker.onerror = (e) => {
+        console.warn("Layout worker failed, packing on the main thread:", e?.message || e);
+        layoutWorker.terminate();
+        layoutWorker = null;
+        layoutPending.forEach(({ nodes, resolve }) => resolve(simulateBeeswarm(nodes, radius)));
+        layoutPending.clear();
+      };
+    } catch (err) {
+      // e.g. file:// pages, where workers are blocked
+      layoutWorker = null;
+    }
+    return layoutWorker;
+  }
+
+  function runLayout(nodes) {
+    const worker = getLayoutWorker();
+    if (!worker) return Promise.resolve(simulateBeeswarm(nodes, radius));
+
+    const id = ++layoutRequestId;
+    return new Promise((resolve) => {
+      layoutPending.set(id, { nodes, resolve });
+      worker.postMessage({ id, nodes, radius, ticks: LAYOUT_TICKS });
+    });
+  }
+
+  // Offsets only depend on which events are shown and on pixels-per-ms (not on panning).
+  function layoutKey(data, x) {
+    let hash = 2166136261; // FNV-1a over the event ids
+    for (const d of data) hash = Math.imul(hash ^ d.uid, 16777619);
+    return `${hash >>> 0}:${data.length}|${zoomBucket(x)}|${laneMode}`;
+  }
+
+  // Zoom level rounded to ~2.5% steps; Math.exp(bucket / 40) gives back pixels per ms.
+  function zoomBucket(x) {
+    const [d0, d1] = x.domain();
+    const [r0, r1] = x.range();
+    const pxPerMs = (r1 - r0) / Math.max(1, +d1 - +d0);
+    return Math.round(Math.log(pxPerMs) * 40);
+  }
+
+  function cacheLayout(key, layout) {
+    layoutCache.delete(key);
+    layoutCache.set(key, layout);
+    if (layoutCache.size > LAYOUT_CACHE_MAX) layoutCache.delete(layoutCache.keys().next().value);
+  }
+
+  function applyLayout(data, layout) {
+    data.forEach((d) => {
+      const p = layout.get(d);
+      if (!p) return;
+      d.xOffset = p.xOffset;
+      d.ySim = p.ySim;
+    });
+  }
+
+  // Pack data for scale x; resolves true if the result was applied (not superseded).
+  function packLayout(data, x) {
+    const key = layoutKey(data, x);
+    const seq = ++layoutSeq;
+
+    // events folded into density bars aren't packed
+    const { hidden } = aggregatesFor(data, x);
+    const shown = hidden.size ? data.filter(d => !hidden.has(d)) : data;
+
+    // warm-start from where dots are now so the packing stays stable between zoom levels
+    const nodes = shown.map((d) => {
+      const px = x(d.date);
+      const node = { px, py: laneY(d) };
+      if (d.ySim != null && inLane(d, d.ySim)) {
+        node.x = px + (d.xOffset || 0);
+        node.y = d.ySim;
+      }
+      return node;
+    });
+
+    // each lane is packed on its own, so dots never push into a neighbouring lane
+    const groups = d3.groups(d3.range(shown.length), i => laneIndex(shown[i]));
+    const runs = groups.map(([, idx]) => runLayout(idx.map(i => nodes[i])));
+
+    return Promise.all(runs).then((results) => {
+      const positions = [];
+      groups.forEach(([, idx], g) => idx.forEach((i, j) => { positions[i] = results[g][j]; }));
+      const layout = new Map(shown.map((d, i) => [d, {
+        xOffset: (positions[i][0] - nodes[i].px) || 0,
+        ySim: clampToLane(d, positions[i][1])
+      }]));
+      cacheLayout(key, layout);
+      if (seq !== layoutSeq || x !== currentXScale || layoutKey(data, x) !== key) return false;
+      applyLayout(data, layout);
+      return true;
+    });
+  }
+
+  // Move dots (and spans) from where they are to their packed positions.
+  function animateDots(x, data) {
+    drawStatusMarks(x, LAYOUT_TRANSITION_MS);
+    drawPinMarkers(x, LAYOUT_TRANSITION_MS);
+    drawRelatedArcs(x, LAYOUT_TRANSITION_MS);
+    if (canvasView) {
+      animateCanvasDots();
+      drawAnnotations(x, data);
+      return;
+    }
+    const dotsGroup = svg.select(".dots");
+    dotsGroup.selectAll("path.dot")
+      .transition("layout")
+      .duration(LAYOUT_TRANSITION_MS)
+      .attr("transform", d => dotTransform(d, x));
+    dotsGroup.select(".spans").selectAll("path")
+      .transition("layout")
+      .duration(LAYOUT_TRANSITION_MS)
+      .attr("d", d => spanPath(d, x));
+    drawAnnotations(x, data);
+  }
+
+  // Cached layout -> animate now; otherwise pack once the gesture pauses.
+  function requestRepack(x, data, { immediate = false } = {}) {
+    clearTimeout(requestRepack._timer);
+    const cached = layoutCache.get(layoutKey(data, x));
+    if (cached) {
+      layoutSeq++; // drop any in-flight result for an older zoom level
+      applyLayout(data, cached);
+      animateDots(x, data);
+      return;
+    }
+    requestRepack._timer = setTimeout(() => {
+      packLayout(data, x).then((applied) => {
+        if (applied) animateDots(x, data);
+      });
+    }, immediate ? 0 : REPACK_DELAY_MS);
+  }
+
+  // =============== Swimlanes ===============
+
+  // Optional split of the dot band into labelled lanes. Lanes are derived from the filtered
+  // events, so deselecting a legend category or dropdown option removes its lane.
+  const LANE_MODES = {
+    category: { other: "lanes.other" },
+    topic:    { other: "lanes.otherTopics" },
+    source:   { other: "lanes.otherSources" }
+  };
+  const LANE_TOP_N = 6;          // topic/source lanes; the rest share an "Other" lane
+  const LANE_OTHER = Symbol("other");
+  let laneMode = "";             // "" = single band
+  let lanes = null;              // { keys, labels, counts, band, byEvent: Map(datum -> lane index) }
+
+  function laneValue(d, ranked) {
+    if (laneMode === "category") return d.categoryKey;
+    // an event with several topics or sources goes in the lane of its most common one
+    const values = laneMode === "topic" ? d.validTopics : d.sourceNames;
+    return ranked.find(v => values.includes(v)) ?? LANE_OTHER;
+  }
+
+  function computeLanes(data) {
+    if (!LANE_MODES[laneMode] || !data.length) {
+      lanes = null;
+      return;
+    }
+
+    let ranked = [];
+    if (laneMode !== "category") {
+      const values = data.flatMap(d => (laneMode === "topic" ? d.validTopics : d.sourceNames)).filter(Boolean);
+      ranked = d3.sort(d3.rollups(values, v => v.length, v => v), (a, b) => b[1] - a[1] || d3.ascending(a[0], b[0]))
+        .slice(0, LANE_TOP_N)
+        .map(([v]) => v);
+    }
+
+    const counts = d3.rollup(data, v => v.length, d => laneValue(d, ranked));
+    const order = laneMode === "category" ? [...categories.keys()] : ranked;
+    const keys = [
+      ...order.filter(k => counts.has(k)),
+      ...[...counts.keys()].filter(k => !order.includes(k) && k !== LANE_OTHER).sort(),
+      ...(counts.has(LANE_OTHER) ? [LANE_OTHER] : [])
+    ];
+    const labelOf = (k) => {
+      if (k === LANE_OTHER) return t(LANE_MODES[laneMode].other);
+      if (laneMode === "category") return categoryName(k);
+      if (laneMode === "topic") return k.charAt(0).toUpperCase() + k.slice(1);
+      return k;
+    };
+    const index = new Map(keys.map((k, i) => [k, i]));
+
+    lanes = {
+      keys,
+      labels: keys.map(labelOf),
+      counts: keys.map(k => counts.get(k)),
+      band: LAYOUT.chartHeight / keys.length,
+      byEvent: new Map(data.map(d => [d, index.get(laneValue(d, ranked))]))
+    };
+  }
+
+  function laneIndex(d) {
+    return lanes?.byEvent.get(d) ?? 0;
+  }
+
+  // Centre line of an event's lane (or of the whole band).
+  function laneY(d) {
+    return laneCenter(laneIndex(d));
+  }
+
+  function laneCenter(i) {
+    if (!lanes) return DOT_CENTER_Y;
+    return LAYOUT.top + lanes.band * (i + 0.5);
+  }
+
+  function inLane(d, y) {
+    if (!lanes) return true;
+    const top = LAYOUT.top + lanes.band * laneIndex(d);
+    return y >= top && y <= top + lanes.band;
+  }
+
+  // Crowded lanes overlap rather than spill into the next one.
+  function clampToLane(d, y) {
+    if (!lanes) return y;
+    const top = LAYOUT.top + lanes.band * laneIndex(d);
+    const pad = Math.min(radius, lanes.band / 2);
+    return Math.max(top + pad, Math.min(top + lanes.band - pad, y));
+  }
+
+  // Lane backgrounds and labels, behind the dots.
+  function drawLanes() {
+    svg.selectAll(".lanes").remove();
+    if (!lanes) return;
+
+    const g = svg.insert("g", ".dots").attr("class", "lanes");
+    const rows = g.selectAll("g")
+      .data(lanes.keys)
+      .join("g")
+      .attr("class", "lane")
+      .attr("transform", (k, i) => `translate(0,${LAYOUT.top + i * lanes.band})`);
+
+    rows.append("rect")
+      .attr("class", (k, i) => (i % 2 ? "lane-bg lane-bg-alt" : "lane-bg"))
+      .attr("width", width)
+      .attr("height", lanes.band);
+
+    rows.filter((k, i) => i > 0)
+      .append("line")
+      .attr("class", "lane-divider")
+      .attr("x2", width);
+
+    rows.append("text")
+      .attr("class", "lane-label")
+      .attr("x", width - 8)
+      .attr("y", 14)
+      .attr("text-anchor", "end")
+      .text((k, i) => `${lanes.labels[i]} (${lanes.counts[i]})`);
+  }
+
+  // Switch lane mode without touching filters or zoom; dots glide to their new lanes.
+  function setLaneMode(mode) {
+    laneMode = LANE_MODES[mode] ? mode : "";
+    const select = byId("laneSelect");
+    if (select) select.value = laneMode;
+    if (!svg || !currentXScale) return;
+
+    computeLanes(filteredData);
+    drawLanes();
+    if (filteredData.length) {
+      refreshAggregates(filteredData, currentXScale);
+      requestRepack(currentXScale, filteredData, { immediate: true });
+    }
+    writeUrlState({ push: true });
+  }
+
+  // =============== Density aggregation ===============
+
+  // Semantic zoom: a time bin whose events can't fit in their lane is drawn as one stacked bar
+  // (split by category colour) instead of dots. Zooming in narrows the bins until they fit.
+  const AGG_MIN_BIN_PX = 28;   // narrowest bin on screen
+  const AGG_PACKING = 0.55;    // share of a bin's area the beeswarm can fill before overflowing
+  const AGG_INTERVALS = [      // [interval, approximate length in days]
+    [d3.timeDay, 1], [d3.timeWeek, 7], [d3.timeMonth, 30.44], [d3.timeMonth.every(3), 91.3],
+    [d3.timeYear, 365.25], [d3.timeYear.every(2), 730.5], [d3.timeYear.every(5), 1826],
+    [d3.timeYear.every(10), 3652], [d3.timeYear.every(25), 9131], [d3.timeYear.every(50), 18262],
+    [d3.timeYear.every(100), 36524]
+  ];
+  const AGG_BIN_LABELS = { 1: "date.dayShort", 7: "date.week", 30.44: "date.month" }; // bin length -> format message
+  let aggState = { key: null, bins: [], hidden: new Set() };
+
+  // Overflowing bins for this filter set, zoom level and lane mode (same key as the layout cache).
+  function aggregatesFor(data, x) {
+    const key = layoutKey(data, x);
+    if (aggState.key === key) return aggState;
+
+    const msPerDay = 864e5;
+    const pxPerMs = Math.exp(zoomBucket(x) / 40);
+    const [interval, days] = AGG_INTERVALS.find(([, n]) => n * msPerDay * pxPerMs >= AGG_MIN_BIN_PX)
+      || AGG_INTERVALS[AGG_INTERVALS.length - 1];
+    const binPx = days * msPerDay * pxPerMs;
+    const band = lanes?.band ?? LAYOUT.chartHeight;
+    const capacity = Math.max(1, Math.floor((binPx * band * AGG_PACKING) / (Math.PI * (radius + 1) ** 2)));
+
+    const bins = [];
+    const hidden = new Set();
+    d3.groups(data, d => laneIndex(d), d => +interval.floor(d.date)).forEach(([lane, byBin]) => {
+      byBin.forEach(([start, events]) => {
+        if (events.length <= capacity) return;
+        events.forEach(d => hidden.add(d));
+        bins.push({ lane, days, start: new Date(start), end: interval.offset(new Date(start), 1), events });
+      });
+    });
+
+    aggState = { key, bins, hidden };
+    return aggState;
+  }
+
+  function binOf(d) {
+    return aggState.bins.find(b => b.events.includes(d));
+  }
+
+  function binLabel(b) {
+    const fmt = AGG_BIN_LABELS[b.days];
+    if (fmt) return d3.timeFormat(t(fmt))(b.start);
+    if (b.days < 365) {
+      return `${d3.timeFormat(t("date.monthShort"))(b.start)}–${d3.timeFormat(t("date.monthYearShort"))(d3.timeDay.offset(b.end, -1))}`;
+    }
+    const y0 = b.start.getFullYear(), y1 = b.end.getFullYear() - 1;
+    return y0 === y1 ? String(y0) : `${y0}–${y1}`;
+  }
+
+  // [colour, count] per legend entry, in legend order.
+  function binSegments(b) {
+    const order = [...categories.keys()];
+    return d3.sort(d3.rollups(b.events, v => v.length, d => d.categoryKey), ([k]) => order.indexOf(k))
+      .map(([k, n]) => [categories.get(k)?.color || "#ccc", n]);
+  }
+
+  function aggregateHtml(b) {
+    const n = b.events.length;
+    // "each" mode counts an event under every one of its categories
+    const order = [...categories.keys()];
+    const parts = d3.sort(d3.rollups(b.events.flatMap(d => d.categoryKeys), v => v.length, k => k), ([k]) => order.indexOf(k))
+      .map(([k, c]) => `${escapeHtml(categoryName(k))}: ${c}`);
+    return `<strong>${binLabel(b)}</strong><br/>
+      <span>${t("agg.events", { n })}${lanes ? ` · ${escapeHtml(lanes.labels[b.lane])}` : ""}</span>
+      <p style="margin:0;">${parts.join("<br/>")}</p>
+      <small>${t("agg.zoom")}</small>`;
+  }
+
+  // Zoom to a bin (with a little margin) so its events expand into dots.
+  function zoomToBin(b) {
+    if (!currentXScale || !FULL_EXTENT) return;
+    const pad = (b.end - b.start) * 0.05;
+    let start = +b.start - pad, end = +b.end + pad;
+    if (end - start <= MIN_SPAN_MS) {
+      const mid = (start + end) / 2;
+      start = mid - MIN_SPAN_MS * 0.6;
+      end = mid + MIN_SPAN_MS * 0.6;
+    }
+    const [s, e] = clampDomain([new Date(start), new Date(end)], [+FULL_EXTENT[0], +FULL_EXTENT[1]]);
+    setDomainAndRedraw(currentXScale, svg.select(".x-axis"), svg.select(".dots"), filteredData, s, e, { repack: true });
+  }
+
+  // Hide folded events' dots (keeping one visible dot in the tab order) and draw the bars.
+  function refreshAggregates(data, x) {
+    const { hidden } = aggregatesFor(data, x);
+    const circles = svg.selectAll(".dots path.dot").classed("aggregated", d => hidden.has(d));
+    svg.selectAll(".dots .spans path").classed("aggregated", d => hidden.has(d));
+
+    const firstShown = () => chronological(data).find(d => !hidden.has(d));
+    if (canvasView) {
+      const focused = canvasView.proxy.datum();
+      if (!focused || hidden.has(focused)) {
+        const next = firstShown();
+        canvasView.proxy.datum(next).attr("display", next ? null : "none");
+      }
+    } else {
+      const anchor = circles.filter(function () { return this.getAttribute("tabindex") === "0"; });
+      if (anchor.empty() || hidden.has(anchor.datum())) {
+        const next = firstShown();
+        circles.attr("tabindex", d => (d === next ? 0 : -1));
+      }
+    }
+
+    drawAggregates(x);
+  }
+
+  function drawAggregates(x) {
+    let g = svg.select(".aggregates");
+    if (g.empty()) g = svg.append("g").attr("class", "aggregates");
+
+    const { bins } = aggState;
+    const band = lanes?.band ?? LAYOUT.chartHeight;
+    const maxH = Math.max(2 * radius, band - 2 * radius);
+    const h = d3.scaleLinear().domain([0, d3.max(bins, b => b.events.length) || 1]).range([0, maxH]);
+    const barHeight = b => Math.max(2 * radius, h(b.events.length));
+    const tooltip = d3.select("body").select(".tooltip");
+
+    const bars = g.selectAll("g.aggregate")
+      .data(bins, b => `${b.lane}:${+b.start}:${b.days}`)
+      .join(enter => {
+        const bar = enter.append("g")
+          .attr("class", "aggregate")
+          .attr("role", "button")
+          .attr("tabindex", 0)
+          .on("mouseenter", (event, b) => showTooltip(tooltip, null, event.pageX, event.pageY, aggregateHtml(b)))
+          .on("mouseleave blur", () => hideTooltip(tooltip))
+          .on("focus", (event, b) => {
+            const r = event.currentTarget.getBoundingClientRect();
+            showTooltip(tooltip, null, r.right + window.scrollX, r.top + window.scrollY, aggregateHtml(b));
+          })
+          .on("click", (event, b) => zoomToBin(b))
+          .on("keydown", (event, b) => {
+            if (event.key !== "Enter" && event.key !== " ") return;
+            event.preventDefault();
+            zoomToBin(b);
+          });
+        bar.append("g").attr("class", "agg-segments");
+        bar.append("rect").attr("class", "agg-frame");
+        bar.append("text").attr("class", "agg-count").attr("text-anchor", "middle").attr("dy", "-4");
+        return bar;
+      })
+      .attr("aria-label", b => t("agg.label", { events: t("agg.events", { n: b.events.length }), period: binLabel(b) }))
+      .classed("has-key", b => b.events.some(d => d.keyEvent))
+      .classed("selected", b => b.events.includes(lastClicked))
+      .classed("has-pin", b => b.events.some(isPinned));
+
+    bars.each(function (b) {
+      const bar = d3.select(this);
+      const x0 = x(b.start);
+      const w = Math.max(4, x(b.end) - x0 - 2);
+      const bh = barHeight(b);
+      const top = laneCenter(b.lane) - bh / 2;
+      bar.attr("transform", `translate(${x0 + 1},${top})`);
+
+      // stack from the bottom, one segment per colour
+      let y = bh;
+      const k = bh / b.events.length;
+      bar.select(".agg-segments").selectAll("rect")
+        .data(binSegments(b))
+        .join("rect")
+        .attr("width", w)
+        .attr("y", ([, n]) => (y -= n * k))
+        .attr("height", ([, n]) => n * k)
+        .attr("fill", ([c]) => c);
+      bar.select(".agg-frame").attr("width", w).attr("height", bh);
+      bar.select(".agg-count").attr("x", w / 2).text(b.events.length);
+    });
+  }
+
+  // =============== Dot rendering (SVG / canvas) ===============
+
+  // Shared hover/focus/click behaviour for SVG dots and the canvas keyboard proxy.
+  function bindDotEvents(selection, tooltip) {
+    selection
+      .attr("role", "button")
+      .attr("aria-label", d => dotLabel(d))
+      .on("mouseenter touchstart", (event, d) => showTooltip(tooltip, d, event.pageX, event.pageY))
+      .on("mouseleave touchend blur", () => hideTooltip(tooltip))
+      .on("focus", (event, d) => {
+        const r = event.currentTarget.getBoundingClientRect();
+        showTooltip(tooltip, d, r.right + window.scrollX, r.top + window.scrollY);
+      })
+      .on("click", (event, d) => (event.shiftKey ? togglePin(d) : selectEvent(d)));
+  }
+
+  function showTooltip(tooltip, d, pageX, pageY, html = tooltipHtml(d)) {
+    tooltip
+      .style("display", "block")
+      .style("opacity", 0.9)
+      .html(html)
+      .style("left", pageX + 10 + "px")
+      .style("top", pageY - 28 + "px");
+  }
+
+  function hideTooltip(tooltip) {
+    tooltip.style("opacity", 0).style("display", "none");
+  }
+
+  // Canvas mode: the dots (and spans) are painted into a <canvas> inside a <foreignObject>, so
+  // axis, annotations and legend stay SVG and share the viewBox. Hit-testing uses a quadtree of
+  // the painted positions; a single transparent circle keeps the keyboard/screen-reader path.
+  let canvasView = null; // { canvas, ctx, proxy, data, quadtree, drawn, from, t, timer }
+
+  const RENDERER = new URLSearchParams(window.location.search).get("renderer");
+
+  function wantsCanvas(data) {
+    if (RENDERER === "svg") return false;
+    if (wantsCanvas._supported === undefined) {
+      wantsCanvas._supported = !!document.createElement("canvas").getContext?.("2d");
+    }
+    if (!wantsCanvas._supported) return false;
+    return RENDERER === "canvas" || data.length > CANVAS_THRESHOLD;
+  }
+
+  function setupCanvasLayer(dotsGroup) {
+    const fo = dotsGroup.append("foreignObject")
+      .attr("class", "dot-canvas")
+      .attr("x", 0).attr("y", 0)
+      .attr("width", width).attr("height", getTotalHeight());
+    const canvas = fo.append("xhtml:canvas")
+      .style("display", "block")
+      .style("width", "100%")
+      .style("height", "100%")
+      .node();
+    const proxy = dotsGroup.append("circle")
+      .attr("class", "dot dot-proxy")
+      .attr("r", radius)
+      .attr("fill", "transparent")
+      .attr("tabindex", 0);
+    canvasView = { canvas, ctx: canvas.getContext("2d"), proxy, data: [], quadtree: null, drawn: new Map() };
+  }
+
+  // Drop the dots layer (either mode), e.g. when switching renderer or nothing matches.
+  function removeDotsLayer() {
+    stopCanvasTween();
+    canvasView = null;
+    svg.on(".canvas", null);
+    svg.selectAll(".dots").remove();
+  }
+
+  // Event under the pointer (within one dot radius), or undefined.
+  function canvasHit(event) {
+    if (!canvasView?.quadtree) return undefined;
+    if (event.target.closest?.(".annotations, .legend, .aggregates, .dot-proxy")) return undefined;
+    const [mx, my] = d3.pointer(event, svg.node());
+    return canvasView.quadtree.find(mx, my, radius + 1)?.d;
+  }
+
+  function bindCanvasEvents(tooltip) {
+    svg
+      .on("mousemove.canvas", (event) => {
+        const d = canvasHit(event);
+        svg.style("cursor", d ? "pointer" : "grab");
+        if (d) showTooltip(tooltip, d, event.pageX, event.pageY);
+        else if (!event.target.closest?.(".dot-proxy")) hideTooltip(tooltip);
+      })
+      .on("mouseleave.canvas", () => hideTooltip(tooltip))
+      .on("click.canvas", (event) => {
+        const d = canvasHit(event);
+        if (d && event.shiftKey) togglePin(d);
+        else if (d) selectEvent(d);
+      });
+  }
+
+  // Same look as styleDots() and the .range-bar/.date-whisker CSS.
+  function drawCanvasDots() {
+    if (!canvasView?.ctx || !currentXScale) return;
+    const { canvas, ctx, data, proxy, from, t } = canvasView;
+    const x = currentXScale;
+    const h = getTotalHeight();
+
+    // back the canvas at screen resolution
+    const shown = svg.node().getBoundingClientRect().width || width;
+    const scale = (shown / width) * (window.devicePixelRatio || 1);
+    const pw = Math.round(width * scale), ph = Math.round(h * scale);
+    if (canvas.width !== pw || canvas.height !== ph) {
+      canvas.width = pw;
+      canvas.height = ph;
+    }
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, h);
+
+    const drawn = new Map();
+    const points = [];
+    data.forEach((d) => {
+      if (aggState.hidden.has(d)) return;
+      let offset = d.xOffset || 0;
+      let y = d.ySim ?? laneY(d);
+      const start = from?.get(d);
+      if (start) {
+        offset = start[0] + (offset - start[0]) * t;
+        y = start[1] + (y - start[1]) * t;
+      }
+      drawn.set(d, [offset, y]);
+      const cx = x(d.date) + offset;
+      if (cx < -radius || cx > width + radius) return;
+      points.push({ d, cx, cy: y, offset });
+    });
+
+    // spans behind the dots
+    points.forEach(({ d, cy, offset }) => {
+      if (!d.spanEnd) return;
+      const path = new Path2D(spanPath(d, x, offset, cy));
+      ctx.strokeStyle = color(d);
+      if (d.rangeEnd) {
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = color(d);
+        ctx.fill(path);
+        ctx.globalAlpha = 0.6;
+      } else {
+        ctx.setLineDash([3, 2]);
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = 0.7;
+      }
+      ctx.stroke(path);
+    });
+
+    // selected dot last so its ring sits on top
+    const selected = points.find(p => p.d === lastClicked);
+    points.filter(p => p !== selected).concat(selected || []).forEach(({ d, cx, cy }) => {
+      const isSelected = d === lastClicked;
+      ctx.globalAlpha = isSelected ? 1 : d.viewed ? 0.4 : 0.8;
+      ctx.filter = d.spanEnd && !d.rangeEnd ? "blur(1.2px)" : "none";
+      const shape = new Path2D(dotPath(d));
+      ctx.save();
+      ctx.translate(cx, cy);
+      if (multiMode === "split" && d.categories.length > 1) {
+        // pie slices clipped to the dot, scaled from the unit box used by the SVG patterns
+        ctx.save();
+        ctx.clip(shape);
+        ctx.scale(2 * radius, 2 * radius);
+        pieSlices(splitColors(d)).forEach((slice) => {
+          ctx.fillStyle = slice.color;
+          ctx.fill(new Path2D(slice.path));
+        });
+        ctx.restore();
+      } else {
+        ctx.fillStyle = color(d);
+        ctx.fill(shape);
+      }
+      const ring = dotStroke(d);
+      if (ring) {
+        ctx.setLineDash(ring.dash || []);
+        ctx.lineWidth = ring.width;
+        ctx.strokeStyle = ring.color;
+        ctx.stroke(shape);
+      }
+      const glyph = CLAIM_STATUSES[d.claimStatus]?.glyph;
+      if (glyph) {
+        // claim-status mark: light stroke over a dark halo, drawn at unit size
+        const mark = new Path2D(glyph);
+        ctx.scale(radius, radius);
+        ctx.setLineDash([]);
+        ctx.lineCap = "round";
+        ctx.lineJoin = "round";
+        ctx.lineWidth = 3 / radius;
+        ctx.strokeStyle = themeColors.statusHalo;
+        ctx.stroke(mark);
+        ctx.lineWidth = 1.5 / radius;
+        ctx.strokeStyle = themeColors.statusMark;
+        ctx.stroke(mark);
+      }
+      ctx.restore();
+    });
+    ctx.filter = "none";
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+
+    canvasView.drawn = drawn;
+    canvasView.quadtree = d3.quadtree(points, p => p.cx, p => p.cy);
+
+    // keep the keyboard proxy on its event
+    const focused = proxy.datum();
+    if (focused && drawn.has(focused)) {
+      const [offset, y] = drawn.get(focused);
+      proxy.attr("cx", x(focused.date) + offset).attr("cy", y).attr("aria-label", dotLabel(focused));
+    }
+  }
+
+  // Tween from the last painted positions to the packed ones.
+  function animateCanvasDots() {
+    stopCanvasTween();
+    canvasView.from = canvasView.drawn;
+    canvasView.t = 0;
+    canvasView.timer = d3.timer((elapsed) => {
+      canvasView.t = d3.easeCubic(Math.min(1, elapsed / LAYOUT_TRANSITION_MS));
+      if (canvasView.t >= 1) stopCanvasTween();
+      drawCanvasDots();
+    });
+  }
+
+  function stopCanvasTween() {
+    if (!canvasView) return;
+    canvasView.timer?.stop();
+    canvasView.timer = null;
+    canvasView.from = null;
+  }
+
+  // Where an SVG dot sits at the current scale (its path is drawn around 0,0).
+  function dotTransform(d, x) {
+    return `translate(${x(d.date) + (d.xOffset || 0)},${d.ySim ?? laneY(d)})`;
+  }
+
+  // Capsule (range) or whisker (imprecise date) path for one event at the current scale.
+  function spanPath(d, x, offset = d.xOffset || 0, y = d.ySim ?? laneY(d)) {
+    const x0 = x(d.date) + offset;
+    const x1 = Math.max(x0, x(d.spanEnd) + offset);
+
+    if (!d.rangeEnd) {
+      const cap = radius / 2;
+      return `M${x0},${y - cap}V${y + cap}M${x0},${y}H${x1}M${x1},${y - cap}V${y + cap}`;
+    }
+    const r = radius * 0.6;
+    const xr = Math.max(x1, x0 + 2 * r);
+    return `M${x0 + r},${y - r}H${xr - r}A${r},${r} 0 0 1 ${xr - r},${y + r}` +
+           `H${x0 + r}A${r},${r} 0 0 1 ${x0 + r},${y - r}Z`;
+  }
+
+  function positionSpans(dotsGroup, x) {
+    dotsGroup.select(".spans").selectAll("path").attr("d", d => spanPath(d, x));
+  }
+
+  // Dot outline: dashed ring when selected, solid ring for key events, thin edge in high contrast.
+  function dotStroke(d) {
+    if (d === lastClicked) return { color: themeColors.selected, width: 3, dash: [4, 2] };
+    if (d.keyEvent) return { color: themeColors.key, width: theme.contrast ? 3 : 2 };
+    if (themeColors.dotOutline !== "none") return { color: themeColors.dotOutline, width: 1 };
+    return null;
+  }
+
+  // Apply selected/viewed/key-event styling to the dots.
+  function styleDots(circles = svg.selectAll(".dots .dot")) {
+    svg.selectAll(".aggregate")
+      .classed("selected", b => b.events.includes(lastClicked))
+      .classed("has-pin", b => b.events.some(isPinned));
+    drawStatusMarks();
+    drawPinMarkers();
+    drawRelatedArcs();
+    if (canvasView) {
+      circles.attr("aria-pressed", c => (c === lastClicked ? "true" : "false"));
+      drawCanvasDots();
+      return;
+    }
+    circles
+      .attr("opacity", c => (c === lastClicked ? 1 : c.viewed ? 0.4 : 0.8))
+      .attr("stroke", c => dotStroke(c)?.color || "none")
+      .attr("stroke-width", c => dotStroke(c)?.width || 0)
+      .attr("stroke-dasharray", c => dotStroke(c)?.dash?.join(",") ?? null)
+      .attr("aria-pressed", c => (c === lastClicked ? "true" : "false"));
+  }
+
+  // Select an event (dot click, annotation click or restored link) and show its details.
+  function selectEvent(d, { updateUrl = true } = {}) {
+    if (!d) return;
+    if (lastClicked && lastClicked !== d) lastClicked.viewed = true;
+    lastClicked = d;
+
+    styleDots();
+    renderDetail(d);
+    renderPinned();
+    syncListSelection();
+    renderMap();
+    if (updateUrl) writeUrlState({ push: true });
+    dispatch.call("select", api, exportRecord(d));
+  }
+
+  function renderDetail(d) {
+    const precisionNote = !d.displayDate && d.precision !== "day"
+      ? ` <small>(${t(`precision.${d.precision}`)})</small>`
+      : "";
+    const dateHtml = formatEventDate(d) + precisionNote;
+
+    d3.select(byId("detailContent")).html(`
+      <button type="button" class="pin-btn" aria-pressed="${isPinned(d)}"
+              title="${t("detail.pinHint")}">${isPinned(d) ? t("detail.unpin") : t("detail.pin")}</button>
+      <h3>${highlightTerms(d.event)}</h3>
+      <p><strong>${t("detail.date")}</strong> ${dateHtml}</p>
+      <p><strong>${t("detail.categories")}</strong> ${
+        Array.isArray(d.displayCategories) && d.displayCategories.length
+          ? displayCategoryLabels(d).join(", ")
+          : "—"
+      }</p>
+      <p><strong>${t("detail.topics")}</strong> ${
+        Array.isArray(d.displayTopics) && d.displayTopics.length
+          ? d.displayTopics.join(", ")
+          : "—"
+      }</p>
+      ${d.sources.length > 1 ? `
+      <div class="source-list"><strong>${t("detail.sources")}</strong>
+        <ol>${d.sources.map(src => `
+          <li>${sourceHtml(src)}</li>`).join("")}
+        </ol>
+      </div>` : `
+      <p><strong>${t("detail.source")}</strong> ${d.sources.length ? sourceHtml(d.sources[0]) : "—"}</p>`}
+      ${d.location || d.countries.length ? `<p><strong>${t("detail.location")}</strong> ${
+        escapeHtml([d.location, d.countries.join(", ")].filter(Boolean).join(" · "))
+      }</p>` : ""}
+      <p><strong>${t("detail.keyEvent")}</strong> ${d.keyEvent ? t("common.yes") : t("common.no")}</p>
+      ${d.claimStatus ? `<p class="claim-status status-${escapeHtml(d.claimStatus)}"><strong>${t("detail.status")}</strong> ${
+        statusOptionHtml(d.claimStatus)}</p>` : ""}
+      ${d.claimOrigin ? `<p><strong>${t("detail.claimOrigin")}</strong> ${referenceHtml(d.claimOrigin)}</p>` : ""}
+      ${d.debunkedBy ? `<p><strong>${t("detail.debunkedBy")}</strong> ${referenceHtml(d.debunkedBy)}</p>` : ""}
+      <p><strong>${t("detail.notes")}</strong><br>${d.notes ? highlightTerms(d.notes) : "—"}</p>
+      ${d.related.length ? `
+      <div class="related-events"><strong>${t("detail.related")}</strong>
+        <ul>${d.related.map(r => `
+          <li><a href="#" class="related-link">${escapeHtml(r.event)}</a>
+            <small>${escapeHtml(formatEventDate(r))}${filteredData.includes(r) ? "" : ` · ${t("detail.hiddenByFilters")}`}</small></li>`).join("")}
+        </ul>
+      </div>` : ""}
+      ${citeBoxHtml()}
+    `);
+    d3.select(byId("detailContent")).select(".pin-btn").on("click", () => togglePin(d));
+    bindCiteBox(d);
+    d3.select(byId("detailContent")).selectAll(".related-link")
+      .data(d.related)
+      .on("click", (event, r) => {
+        event.preventDefault();
+        revealEvent(r);
+        selectEvent(r);
+      });
+  }
+
+  // Category names as the legend shows them.
+  function displayCategoryLabels(d) {
+    return d.categories.map(categoryName);
+  }
+
+  // One source: its name (linked to Source_URL), an archived copy and the access date.
+  // Without a Source_Archive link, config.archiveLookup points at the archive's copy nearest the access date.
+  // Values isWebUrl() rejects stay plain text (they are listed in the ?debug=1 panel).
+  function sourceHtml(src) {
+    const url = isWebUrl(src.url) ? src.url : "";
+    const label = escapeHtml(src.name || (src.url && !url ? src.url : t("detail.documentation")));
+    const accessed = src.accessed ? parseDatePart(src.accessed) : null;
+    const lookup = !src.archiveUrl && url && config.archiveLookup
+      ? config.archiveLookup
+        .replace("{timestamp}", d3.timeFormat("%Y%m%d")(accessed?.date || new Date()))
+        .replace("{url}", url)
+      : "";
+    const archive = isWebUrl(src.archiveUrl) ? src.archiveUrl : lookup;
+    return [
+      url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${label}</a>` : label,
+      archive ? ` · <a class="archive-link" href="${escapeHtml(archive)}" target="_blank" rel="noopener"${
+        lookup ? ` title="${t("detail.archiveLookup")}"` : ""}>${t("detail.archived")}</a>`
+        : src.archiveUrl ? ` · ${escapeHtml(src.archiveUrl)}` : "",
+      src.accessed ? ` <small>${t("detail.accessed", { date: escapeHtml(accessed ? formatEventDate(accessed) : src.accessed) })}</small>` : ""
+    ].join("");
+  }
+
+  // =============== Pinned events ===============
+
+  // Events kept side by side in #pinnedEvents for comparison (shift-click, P, or "Pin").
+  let pinnedEvents = [];
+
+  function isPinned(d) {
+    return pinnedEvents.includes(d);
+  }
+
+  function togglePin(d) {
+    if (!d) return;
+    pinnedEvents = isPinned(d) ? pinnedEvents.filter(p => p !== d) : [...pinnedEvents, d];
+    announce(t(isPinned(d) ? "pins.pinned" : "pins.unpinned", { event: d.event, n: pinnedEvents.length }));
+    pinsChanged();
+  }
+
+  function clearPins() {
+    pinnedEvents = [];
+    announce(t("pins.cleared"));
+    pinsChanged();
+  }
+
+  function pinsChanged({ updateUrl = true } = {}) {
+    renderPinned();
+    if (svg) styleDots();
+    if (lastClicked) renderDetail(lastClicked);
+    if (updateUrl) writeUrlState({ push: true });
+  }
+
+  // Time between two events, no finer than either date is known.
+  function formatGap(a, b) {
+    const units = (parts) => new Intl.ListFormat(locale, { type: "unit", style: "long" }).format(
+      parts.filter(([n]) => n).map(([n, unit]) => new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: "long" }).format(n))
+    );
+    const [from, to] = [a.date, b.date];
+    let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+    if (to.getDate() < from.getDate()) months -= 1;
+    const years = Math.floor(months / 12);
+
+    if (a.precision === "year" || b.precision === "year") {
+      return years ? t("gap.aboutLater", { span: units([[years, "year"]]) }) : t("gap.sameYear");
+    }
+    if (a.precision === "month" || b.precision === "month") {
+      if (!months) return t("gap.sameMonth");
+      return t("gap.aboutLater", { span: units([[years, "year"], [months % 12, "month"]]) });
+    }
+    if (years) return t("gap.later", { span: units([[years, "year"], [months % 12, "month"]]) });
+    const days = d3.timeDay.count(from, to);
+    if (!days) return t("gap.sameDay");
+    return t("gap.later", {
+      span: months ? units([[months, "month"], [d3.timeDay.count(d3.timeMonth.offset(from, months), to), "day"]]) : units([[days, "day"]])
+    });
+  }
+
+  // Chronological card stack with the gap between neighbours.
+  function renderPinned() {
+    const panel = d3.select(byId("pinnedEvents"));
+    if (panel.empty()) return;
+    const pins = pinnedEvents.slice().sort((a, b) => a.date - b.date);
+
+    panel.property("hidden", !pins.length).html("");
+    if (!pins.length) return;
+
+    const head = panel.append("div").attr("class", "pinned-header");
+    head.append("strong").text(t("pins.header", { n: pins.length }));
+    head.append("button")
+      .attr("type", "button")
+      .attr("class", "pin-clear")
+      .text(t("pins.clear"))
+      .on("click", clearPins);
+
+    const list = panel.append("ol").attr("class", "pinned-list");
+    pins.forEach((d, i) => {
+      if (i > 0) list.append("li").attr("class", "pinned-gap").text(`↓ ${formatGap(pins[i - 1], d)}`);
+
+      const hidden = !filteredData.includes(d);
+      const card = list.append("li")
+        .attr("class", "pinned-card")
+        .classed("selected", d === lastClicked)
+        .classed("filtered-out", hidden)
+        .attr("title", hidden ? t("pins.hidden") : null)
+        .style("border-inline-start-color", color(d));
+      card.append("span").attr("class", "pin-number").text(i + 1);
+      const body = card.append("div").attr("class", "pinned-body");
+      body.append("button")
+        .attr("type", "button")
+        .attr("class", "pinned-title")
+        .text(d.event)
+        .on("click", () => {
+          revealEvent(d);
+          selectEvent(d);
+        });
+      body.append("span").attr("class", "pinned-date").text(formatEventDate(d));
+      card.append("button")
+        .attr("type", "button")
+        .attr("class", "pin-remove")
+        .attr("aria-label", t("pins.unpinEvent", { event: d.event }))
+        .attr("title", t("pins.unpin"))
+        .text("×")
+        .on("click", () => togglePin(d));
+    });
+  }
+
+  // =============== Related-event arcs ===============
+
+  // Arcs from the selected dot to its related dots (earlier -> later), redrawn with the zoom.
+  function drawRelatedArcs(x = currentXScale, duration = 0) {
+    const g = svg.select(".dots .related-arcs");
+    if (g.empty() || !x) return;
+
+    const shown = d => filteredData.includes(d) && !aggState.hidden.has(d);
+    const from = lastClicked && shown(lastClicked) ? lastClicked : null;
+    const arcs = g.selectAll("path")
+      .data(from ? from.related.filter(shown) : [], d => d.uid)
+      .join("path")
+      .attr("class", "related-arc")
+      .attr("marker-end", `url(#${id("relatedArrow")})`);
+
+    const path = t => (+from.date <= +t.date ? relatedArcPath(from, t, x) : relatedArcPath(t, from, x));
+    if (duration) arcs.transition("layout").duration(duration).attr("d", path);
+    else arcs.interrupt("layout").attr("d", path);
+  }
+
+  // Quadratic curve bowing upwards, trimmed so it starts and ends at the dot edges.
+  function relatedArcPath(a, b, x) {
+    const x1 = x(a.date) + (a.xOffset || 0), y1 = a.ySim ?? laneY(a);
+    const x2 = x(b.date) + (b.xOffset || 0), y2 = b.ySim ?? laneY(b);
+    const lift = Math.min(LAYOUT.chartHeight / 2, Math.abs(x2 - x1) / 3 + 24);
+    const cx = (x1 + x2) / 2;
+    const cy = Math.max(LAYOUT.top, Math.min(y1, y2) - lift);
+
+    const trim = (px, py) => {
+      const len = Math.hypot(px - cx, py - cy) || 1;
+      const k = Math.min(1, (radius + 2) / len);
+      return [px - (px - cx) * k, py - (py - cy) * k];
+    };
+    const [sx, sy] = trim(x1, y1);
+    const [ex, ey] = trim(x2, y2);
+    return `M${sx},${sy}Q${cx},${cy} ${ex},${ey}`;
+  }
+
+  // Claim-status glyphs over the SVG dots (the canvas renderer paints its own).
+  function drawStatusMarks(x = currentXScale, duration = 0) {
+    const dotsGroup = svg.select(".dots");
+    if (dotsGroup.empty() || !x) return;
+
+    let g = dotsGroup.select(".status-marks");
+    if (g.empty()) g = dotsGroup.append("g").attr("class", "status-marks").attr("aria-hidden", "true");
+    g.raise();
+
+    const at = d => `translate(${x(d.date) + (d.xOffset || 0)},${d.ySim ?? laneY(d)}) scale(${radius})`;
+    const shown = canvasView ? [] : filteredData.filter(d => CLAIM_STATUSES[d.claimStatus] && !aggState.hidden.has(d));
+    const marks = g.selectAll("g.status-mark")
+      .data(shown, d => d.uid)
+      .join(enter => {
+        const m = enter.append("g").attr("class", "status-mark").attr("transform", at);
+        m.append("path").attr("class", "status-halo");
+        m.append("path").attr("class", "status-glyph");
+        return m;
+      });
+    marks.select(".status-halo").attr("d", d => CLAIM_STATUSES[d.claimStatus].glyph);
+    marks.select(".status-glyph").attr("d", d => CLAIM_STATUSES[d.claimStatus].glyph);
+    marks.attr("opacity", d => (d === lastClicked ? 1 : d.viewed ? 0.5 : 1));
+
+    if (duration) marks.transition("layout").duration(duration).attr("transform", at);
+    else marks.interrupt("layout").attr("transform", at);
+  }
+
+  // Numbered rings over pinned dots (same numbers as the cards).
+  function drawPinMarkers(x = currentXScale, duration = 0) {
+    const dotsGroup = svg.select(".dots");
+    if (dotsGroup.empty() || !x) return;
+
+    let g = dotsGroup.select(".pin-markers");
+    if (g.empty()) g = dotsGroup.append("g").attr("class", "pin-markers").attr("aria-hidden", "true");
+    g.raise();
+
+    const order = pinnedEvents.slice().sort((a, b) => a.date - b.date);
+    const shown = order.filter(d => filteredData.includes(d) && !aggState.hidden.has(d));
+    const markers = g.selectAll("g.pin-marker")
+      .data(shown, d => d.uid)
+      .join(enter => {
+        const m = enter.append("g").attr("class", "pin-marker");
+        m.append("circle").attr("r", radius + 4);
+        m.append("text");
+        return m;
+      });
+    markers.select("text").text(d => order.indexOf(d) + 1);
+
+    const cx = d => x(d.date) + (d.xOffset || 0);
+    const cy = d => d.ySim ?? laneY(d);
+    const rings = markers.select("circle");
+    const labels = markers.select("text");
+    if (duration) {
+      rings.transition("layout").duration(duration).attr("cx", cx).attr("cy", cy);
+      labels.transition("layout").duration(duration).attr("x", d => cx(d) + radius + 3).attr("y", d => cy(d) - radius - 1);
+    } else {
+      rings.interrupt("layout").attr("cx", cx).attr("cy", cy);
+      labels.interrupt("layout").attr("x", d => cx(d) + radius + 3).attr("y", d => cy(d) - radius - 1);
+    }
+  }
+
+  // =============== Keyboard & screen readers ===============
+
+  function tooltipHtml(d) {
+    const noteText = d.notes.length > 200 ? d.notes.slice(0, 200) + "…" : d.notes;
+    return `<strong>${highlightTerms(d.event)}</strong><br/>
+      <span>${formatEventDate(d)}</span>${d.claimStatus ? ` · <span>${escapeHtml(statusName(d.claimStatus))}</span>` : ""}
+      <p style="max-width:250px;white-space:normal;word-wrap:break-word;margin:0;">${highlightTerms(noteText)}</p>`;
+  }
+
+  function dotLabel(d) {
+    const status = d.claimStatus ? `, ${statusName(d.claimStatus)}` : "";
+    return `${d.event}, ${formatEventDate(d)}${status}${d.keyEvent ? `, ${t("a11y.keyEvent")}` : ""}`;
+  }
+
+  function chronological(data) {
+    return data.slice().sort((a, b) => a.date - b.date || (a.xOffset || 0) - (b.xOffset || 0));
+  }
+
+  // Pan (keeping the zoom level) so an event's date is inside the visible window.
+  function revealEvent(d) {
+    if (!currentXScale || !FULL_EXTENT || !d) return;
+    const [d0, d1] = currentXScale.domain();
+    if (+d.date >= +d0 && +d.date <= +d1) return;
+
+    const half = (d1 - d0) / 2;
+    const [start, end] = clampDomain(
+      [new Date(+d.date - half), new Date(+d.date + half)],
+      [+FULL_EXTENT[0], +FULL_EXTENT[1]]
+    );
+    setDomainAndRedraw(currentXScale, svg.select(".x-axis"), svg.select(".dots"), filteredData, start, end, { repack: false });
+  }
+
+  // Roving tabindex: only the focused dot is in the tab order.
+  function focusDot(d) {
+    if (aggState.hidden.has(d)) zoomToBin(binOf(d));
+    if (canvasView) {
+      revealEvent(d);
+      canvasView.proxy.datum(d);
+      drawCanvasDots(); // moves the proxy onto d
+      canvasView.proxy.node().focus();
+      return;
+    }
+    const circles = svg.selectAll(".dots .dot").attr("tabindex", c => (c === d ? 0 : -1));
+    revealEvent(d);
+    circles.filter(c => c === d).node()?.focus();
+  }
+
+  function onDotKeydown(event) {
+    const target = event.target.closest?.(".dot");
+    if (!target) return;
+    const d = d3.select(target).datum();
+    const order = chronological(filteredData);
+    const i = order.indexOf(d);
+
+    let next = null;
+    switch (event.key) {
+      case "ArrowRight":
+      case "ArrowDown": next = order[Math.min(order.length - 1, i + 1)]; break;
+      case "ArrowLeft":
+      case "ArrowUp":   next = order[Math.max(0, i - 1)]; break;
+      case "Home":      next = order[0]; break;
+      case "End":       next = order[order.length - 1]; break;
+      case "Enter":
+      case " ":         selectEvent(d); break;
+      case "p":
+      case "P":         togglePin(d); break;
+      case "+":
+      case "=":         zoomBy(1.25, d.date); break;
+      case "-":
+      case "_":         zoomBy(0.8, d.date); break;
+      default: return;
+    }
+    event.preventDefault();
+    if (next && next !== d) focusDot(next);
+  }
+
+  // Polite live-region message, e.g. after filtering.
+  function announce(message) {
+    const region = byId("chartStatus");
+    if (region) region.textContent = message;
+  }
+
+  function announceResultCount(n) {
+    if (n === announceResultCount._last) return;
+    announceResultCount._last = n;
+    clearTimeout(announceResultCount._timer); // wait for typing in #search to settle
+    announceResultCount._timer = setTimeout(() => announce(t("a11y.shown", { n })), 400);
+  }
+
+  // =============== List view ===============
+
+  // Table alternative to the beeswarm, driven by filteredData.
+  // Header labels are the list.<key> messages.
+  const LIST_COLUMNS = [
+    { key: "date",       value: d => +d.date,                          text: d => formatEventDate(d) },
+    { key: "event",      value: d => d.event.toLowerCase(),            text: d => d.event },
+    { key: "categories", value: d => d.displayCategories.join(", "),   text: d => displayCategoryLabels(d).join(", ") || "—" },
+    { key: "topics",     value: d => d.displayTopics.join(", "),       text: d => d.displayTopics.join(", ") || "—" },
+    { key: "source",     value: d => d.displaySource.toLowerCase(),    text: d => d.displaySource || "—" },
+    { key: "key",        value: d => (d.keyEvent ? 0 : 1),             text: d => (d.keyEvent ? t("common.yes") : t("common.no")) }
+  ];
+
+  let listSort = { key: "date", dir: 1 };
+  const listExpanded = new Set(); // events whose notes row is open
+
+  function isListViewOpen() {
+    const panel = byId("listView");
+    return !!panel && !panel.hidden;
+  }
+
+  function setupListView() {
+    const btn = byId("listViewBtn");
+    const panel = byId("listView");
+    if (!btn || !panel || btn.__bound) return;
+    btn.__bound = true;
+    btn.type = "button";
+
+    panel.innerHTML = `
+      <table class="list-table">
+        <caption class="visually-hidden" data-i18n="list.caption">${t("list.caption")}</caption>
+        <thead><tr>
+          <th scope="col"><span class="visually-hidden" data-i18n="list.expand">${t("list.expand")}</span></th>
+          ${LIST_COLUMNS.map(c => `
+            <th scope="col" data-key="${c.key}">
+              <button type="button" class="list-sort" data-key="${c.key}" data-i18n="list.${c.key}">${t(`list.${c.key}`)}</button>
+            </th>`).join("")}
+        </tr></thead>
+      </table>
+    `;
+
+    btn.addEventListener("click", () => setListViewOpen(panel.hidden));
+
+    panel.querySelector("thead").addEventListener("click", (e) => {
+      const sortBtn = e.target.closest("button.list-sort");
+      if (!sortBtn) return;
+      const key = sortBtn.dataset.key;
+      listSort = { key, dir: listSort.key === key ? -listSort.dir : 1 };
+      renderListView();
+    });
+  }
+
+  function setListViewOpen(open) {
+    const btn = byId("listViewBtn");
+    const panel = byId("listView");
+    if (!panel) return;
+    panel.hidden = !open;
+    btn?.setAttribute("aria-pressed", String(open));
+    if (open) renderListView();
+    writeUrlState({ push: true });
+  }
+
+  function renderListView() {
+    const panel = byId("listView");
+    if (!panel || panel.hidden) return;
+    const table = d3.select(panel).select("table");
+
+    table.selectAll("th[data-key]")
+      .attr("aria-sort", function () {
+        if (this.dataset.key !== listSort.key) return "none";
+        return listSort.dir > 0 ? "ascending" : "descending";
+      });
+
+    const col = LIST_COLUMNS.find(c => c.key === listSort.key) || LIST_COLUMNS[0];
+    const rows = filteredData.slice().sort((a, b) =>
+      d3.ascending(col.value(a), col.value(b)) * listSort.dir || a.date - b.date
+    );
+
+    table.selectAll("tbody").remove();
+    if (!rows.length) {
+      table.append("tbody").append("tr").append("td")
+        .attr("colspan", LIST_COLUMNS.length + 1)
+        .attr("class", "list-empty")
+        .text(t("list.empty"));
+      return;
+    }
+
+    const items = table.selectAll("tbody.list-item")
+      .data(rows)
+      .join("tbody")
+      .attr("class", "list-item");
+
+    const main = items.append("tr").attr("class", "list-row");
+    main.append("td").append("button")
+      .attr("type", "button")
+      .attr("class", "list-expand")
+      .attr("aria-expanded", d => String(listExpanded.has(d)))
+      .attr("aria-label", d => t("list.notesFor", { event: d.event }))
+      .text("▸")
+      .on("click", (event, d) => {
+        event.stopPropagation();
+        if (listExpanded.has(d)) listExpanded.delete(d);
+        else listExpanded.add(d);
+        const open = listExpanded.has(d);
+        const item = d3.select(event.currentTarget.closest("tbody"));
+        item.select(".list-expand").attr("aria-expanded", String(open));
+        item.select(".list-notes").attr("hidden", open ? null : "");
+      });
+
+    LIST_COLUMNS.forEach((c) => {
+      const cell = main.append("td").attr("class", `list-${c.key}`);
+      if (c.key === "event") {
+        cell.append("button")
+          .attr("type", "button")
+          .attr("class", "list-select")
+          .text(c.text)
+          .on("click", (event, d) => {
+            selectEvent(d);
+            revealEvent(d);
+          });
+      } else {
+        cell.text(c.text);
+      }
+    });
+
+    items.append("tr")
+      .attr("class", "list-notes")
+      .attr("hidden", d => (listExpanded.has(d) ? null : ""))
+      .append("td")
+      .attr("colspan", LIST_COLUMNS.length + 1)
+      .html(d => `
+        <p>${d.notes ? escapeHtml(d.notes) : t("list.noNotes")}</p>
+        ${d.sources.length ? `<p class="list-sources">${d.sources.map(sourceHtml).join("; ")}</p>` : ""}
+      `);
+
+    syncListSelection({ scroll: false });
+  }
+
+  // Mirror the chart selection (lastClicked) in the table.
+  function syncListSelection({ scroll = true } = {}) {
+    if (!isListViewOpen()) return;
+    const items = d3.select(byId("listView")).selectAll("tbody.list-item")
+      .classed("selected", d => d === lastClicked);
+    items.select(".list-select").attr("aria-current", d => (d === lastClicked ? "true" : null));
+
+    if (scroll) {
+      items.filter(d => d === lastClicked).node()?.scrollIntoView?.({ block: "nearest" });
+    }
+  }
+
+  function zoomBy(factor, anchorDate) {
+    if (!currentXScale || !filteredData.length) return;
+
+    const x = currentXScale;
+    const [d0, d1] = x.domain();
+    const center = anchorDate ? +anchorDate : (+d0 + +d1) / 2;
+
+    // Proposed new span
+    const span = (d1 - d0) / factor;
+    let newStart = new Date(center - span / 2);
+    let newEnd   = new Date(center + span / 2);
+
+    // Always clamp against the FULL dataset, not the filtered slice
+    const extent = FULL_EXTENT || d3.extent(filteredData, d => d.date);
+    const min = +extent[0];
+    const max = +extent[1];
+    const maxSpan = max - min;
+    const minZoomSpan = MIN_SPAN_MS; // use the shared constant
+
+    // Don’t allow zoom out beyond the full dataset
+    if ((+newEnd - +newStart) > maxSpan) {
+      newStart = new Date(min);
+      newEnd   = new Date(max);
+    }
+
+    // Keep inside bounds
+    if (+newStart < min) {
+      newStart = new Date(min);
+      newEnd   = new Date(min + span);
+    }
+    if (+newEnd > max) {
+      newEnd   = new Date(max);
+      newStart = new Date(max - span);
+    }
+
+    // Enforce minimum zoom window
+    if ((+newEnd - +newStart) < minZoomSpan) return;
+
+    // Apply via the shared helper so dots and annotations update correctly
+    const dotsGroup = svg.select(".dots");
+    const xAxisG    = svg.select(".x-axis");
+    setDomainAndRedraw(x, xAxisG, dotsGroup, filteredData, newStart, newEnd, { repack: true });
+  }
+
+
+  // =============== Annotations & legend ===============
+
+  function drawAnnotations(x, data) {
+    svg.selectAll(".annotations").remove();
+
+    const annotationGroup = svg.append("g").attr("class", "annotations");
+    const linesGroup = annotationGroup.append("g").attr("class", "annotation-lines");
+    const boxesGroup = annotationGroup.append("g").attr("class", "annotation-boxes");
+
+    const labelPadding = 4;
+    const placedLabels = [];
+
+    keyEvents
+      .sort((a, b) => a.date - b.date)
+      .forEach((d) => {
+        if (!d.date || isNaN(x(d.date))) return;
+
+        const xPos = x(d.date);
+        const labelText  = d.event.length > 50 ? d.event.slice(0, 50) + "…" : d.event;
+        const labelWidth = labelText.length * 7;
+        const labelX1 = xPos - labelWidth / 2;
+        const labelX2 = xPos + labelWidth / 2;
+
+        let level = 0;
+        while (placedLabels.some(l => !(labelX2 < l.x1 || labelX1 > l.x2 || level !== l.level))) level++;
+        placedLabels.push({ x1: labelX1 - labelPadding, x2: labelX2 + labelPadding, level });
+
+        const yBase = ANNO_Y0 + level * LAYOUT.annoRow;
+
+        const match = data.find(item => item.date.getTime() === d.date.getTime() && item.event === d.event);
+        const yStart = match?.ySim ?? DOT_CENTER_Y;
+
+        const line = linesGroup.append("line")
+          .attr("x1", xPos).attr("y1", yStart)
+          .attr("x2", xPos).attr("y2", yBase - 10)
+          .attr("stroke", themeColors.annoLine).attr("stroke-dasharray", "2,2")
+          .attr("stroke-width", 1).style("opacity", 0)
+          .classed("annotation-line", true);
+
+        const labelGroup = boxesGroup.append("g")
+          .attr("transform", `translate(${xPos},${yBase})`)
+          .style("cursor", "pointer");
+
+        let anchor;
+        if (xPos < width * 0.33) anchor = "start";
+        else if (xPos > width * 0.66) anchor = "end";
+        else anchor = "middle";
+
+        const text = labelGroup.append("text")
+          .attr("x", 0).attr("y", 0).attr("dy", "0.35em")
+          .attr("text-anchor", anchor)
+          .attr("class", "key-event-label")
+          .text(labelText);
+
+        const bbox = text.node().getBBox();
+        const rectX = anchor === "start" ? bbox.x - 4 : anchor === "middle" ? -bbox.width / 2 - 4 : -bbox.width - 4;
+
+        const rect = labelGroup.insert("rect", "text")
+          .attr("x", rectX).attr("y", bbox.y - 2)
+          .attr("width", bbox.width + 8).attr("height", bbox.height + 4)
+          .attr("rx", 4).attr("ry", 4)
+          .attr("fill", themeColors.annoFill).attr("stroke", themeColors.annoStroke)
+          .classed("annotation-box", true);
+
+        labelGroup.on("click", (event) => {
+          if (event.shiftKey) {
+            togglePin(match || d);
+            return;
+          }
+          svg.selectAll(".annotation-line").attr("stroke", themeColors.annoLine).attr("stroke-width", 1);
+          line.attr("stroke", themeColors.annoLineActive).attr("stroke-width", 3);
+
+          svg.selectAll(".annotation-box").attr("fill", themeColors.annoFill).attr("stroke", themeColors.annoStroke);
+          rect.attr("fill", themeColors.highlight).attr("stroke", themeColors.highlightStroke);
+
+          selectEvent(match || d);
+        });
+      });
+
+    svg.selectAll(".annotation-line").style("opacity", 0);
+  }
+
+  function drawLegend() {
+    svg.selectAll(".legend").remove();
+
+    // one entry per category found in the data (see setupCategories()), then key events
+    const legendItems = [
+      ...[...categories.values()].map(c => ({ key: c.key, label: categoryName(c.key), color: c.color, shape: c.shape, type: "dot" })),
+      { key: "key", label: t("legend.key"), color: null, type: "ring" }
+    ];
+
+    const g = svg.append("g")
+      .attr("class", "legend")
+      .attr("transform", `translate(${LEGEND.x},${LEGEND.y})`);
+
+    // fills columns of LEGEND.rows entries
+    const rows = g.selectAll(".legend-row")
+      .data(legendItems, d => d.key)
+      .join("g")
+      .attr("class", "legend-row")
+      .attr("transform", (d, i) => `translate(${Math.floor(i / LEGEND.rows) * LEGEND.gapX}, ${(i % LEGEND.rows) * LEGEND.gapY})`)
+      .style("cursor", "pointer")
+      .on("click", (event, d) => {
+        if (selectedCats.has(d.key)) selectedCats.delete(d.key);
+        else selectedCats.add(d.key);
+        updateLegendStyles();
+        updateChart();
+      });
+
+    rows.each(function (d) {
+      const row = d3.select(this);
+      if (d.type === "dot") {
+        row.append("path")
+          .attr("class", "legend-dot")
+          .attr("transform", `translate(${LEGEND.dotR},${LEGEND.dotR})`)
+          .attr("d", symbolPath(d.shape, LEGEND.dotR))
+          .attr("fill", d.color).attr("stroke", themeColors.faint);
+      } else {
+        row.append("circle")
+          .attr("class", "legend-ring")
+          .attr("cx", LEGEND.dotR).attr("cy", LEGEND.dotR).attr("r", LEGEND.dotR)
+          .attr("fill", themeColors.ringFill).attr("stroke", themeColors.key).attr("stroke-width", theme.contrast ? 3 : 2);
+      }
+    });
+
+    rows.append("text")
+      .attr("x", LEGEND.dotR * 2 + 8)
+      .attr("y", LEGEND.dotR + 4)
+      .attr("font-size", 12)
+      .attr("fill", themeColors.text)
+      .text(d => d.label);
+
+    function updateLegendStyles() {
+      rows.classed("off", d => !selectedCats.has(d.key));
+      rows.selectAll(".legend-dot, .legend-ring").attr("opacity", d => (selectedCats.has(d.key) ? 1 : 0.3));
+      rows.selectAll("text").attr("fill", d => (selectedCats.has(d.key) ? themeColors.text : themeColors.faint));
+    }
+    updateLegendStyles();
+  }
+
+  // =============== Overview (focus + context) ===============
+
+  // Density of the filtered events across FULL_EXTENT, with a brush for the visible window.
+  function drawOverview(data) {
+    const el = byId("overview");
+    if (!el || !FULL_EXTENT) return;
+
+    const ov = d3.select(el)
+      .attr("viewBox", `0 0 ${width} ${OVERVIEW.height}`)
+      .attr("preserveAspectRatio", "xMidYMid meet");
+    ov.selectAll("*").remove();
+
+    overviewX = d3.scaleTime().domain(FULL_EXTENT).range([40, width - 40]);
+
+    const bins = d3.bin()
+      .value(d => d.date)
+      .domain(overviewX.domain())
+      .thresholds(overviewX.ticks(OVERVIEW.bins))(data);
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(bins, b => b.length) || 1])
+      .range([OVERVIEW.barsHeight, 2]);
+
+    ov.append("g")
+      .attr("class", "overview-bars")
+      .selectAll("rect")
+      .data(bins)
+      .join("rect")
+      .attr("x", b => overviewX(b.x0))
+      .attr("width", b => Math.max(0, overviewX(b.x1) - overviewX(b.x0) - 1))
+      .attr("y", b => y(b.length))
+      .attr("height", b => OVERVIEW.barsHeight - y(b.length));
+
+    ov.append("g")
+      .attr("class", "overview-axis")
+      .attr("transform", `translate(0,${OVERVIEW.barsHeight})`)
+      .call(d3.axisBottom(overviewX).ticks(isMobile() ? 4 : 8).tickFormat(timeTickFormat).tickSizeOuter(0));
+
+    overviewBrush = d3.brushX()
+      .extent([[40, 0], [width - 40, OVERVIEW.barsHeight]])
+      .on("brush end", onOverviewBrush);
+
+    ov.append("g")
+      .attr("class", "overview-brush")
+      .call(overviewBrush);
+
+    if (currentXScale) syncOverviewBrush(currentXScale.domain());
+  }
+
+  // Brush moved by the user -> main chart domain (repack once the gesture ends).
+  function onOverviewBrush(event) {
+    if (!event.sourceEvent || !currentXScale || !overviewX) return; // programmatic move
+
+    let start, end;
+    if (event.selection) {
+      [start, end] = event.selection.map(overviewX.invert);
+      [start, end] = clampDomain([start, end], [+FULL_EXTENT[0], +FULL_EXTENT[1]]);
+    } else {
+      [start, end] = FULL_EXTENT; // click outside the brush: show everything
+    }
+
+    setDomainAndRedraw(
+      currentXScale, svg.select(".x-axis"), svg.select(".dots"), filteredData,
+      start, end, { repack: event.type === "end" }
+    );
+  }
+
+  // Main chart domain -> brush position (wheel, drag, zoomBy(), links).
+  function syncOverviewBrush([d0, d1]) {
+    if (!overviewX || !overviewBrush) return;
+    const g = d3.select(byId("overview")).select(".overview-brush");
+    if (g.empty()) return;
+    const [r0, r1] = overviewX.range();
+    const sel = [Math.max(r0, overviewX(d0)), Math.min(r1, overviewX(d1))];
+    g.call(overviewBrush.move, sel[1] > sel[0] ? sel : null);
+  }
+
+  // =============== Resize ===============
+  function resizeChart() {
+    const container = byId("container");
+    if (!container || !svg) return;
+    width = Math.max(320, (container.clientWidth || 0) - 40);
+    svg.attr("viewBox", `0 0 ${width} ${getTotalHeight()}`);
+    updateChart();
+  }
+
+  // =============== Map ===============
+
+  // Events per country for filteredData, drawn on bundled Natural Earth geometry (world-atlas 110m).
+  // Clicking a country narrows the country filter to it; the selected event's countries are outlined.
+  const MAP = { width: 480, height: 250, geometryUrl: "./data/countries-110m.json" };
+  let mapPath = null; // d3.geoPath once the geometry has loaded
+
+  function setupMap() {
+    const panel = byId("mapPanel");
+    if (!panel || !rawData.some(d => d.countries.length || d.coords)) return;
+    if (typeof topojson === "undefined") {
+      console.warn("topojson-client not loaded; map disabled");
+      return;
+    }
+
+    d3.json(MAP.geometryUrl).then((world) => {
+      const features = topojson.feature(world, world.objects.countries).features;
+      const projection = d3.geoNaturalEarth1().fitSize([MAP.width, MAP.height], { type: "Sphere" });
+      mapPath = d3.geoPath(projection);
+
+      const map = d3.select(byId("map")).attr("viewBox", `0 0 ${MAP.width} ${MAP.height}`);
+      map.append("path").attr("class", "map-sphere").attr("d", mapPath({ type: "Sphere" }));
+      map.append("g")
+        .attr("class", "map-countries")
+        .selectAll("path")
+        .data(features)
+        .join("path")
+        .attr("class", "map-country")
+        .attr("d", mapPath)
+        .on("click", (event, f) => filterByMapCountry(f.properties.name))
+        .on("keydown", (event, f) => {
+          if (event.key !== "Enter" && event.key !== " ") return;
+          event.preventDefault();
+          filterByMapCountry(f.properties.name);
+        })
+        .append("title");
+      map.append("g").attr("class", "map-marker").attr("aria-hidden", "true");
+
+      panel.hidden = false;
+      renderMap();
+    }).catch((err) => {
+      console.warn("Map geometry failed to load:", err?.message || err);
+    });
+  }
+
+  function renderMap() {
+    if (!mapPath) return;
+    const counts = new Map();
+    filteredData.forEach(d => new Set(d.countries.map(mapCountryName)).forEach((name) => {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }));
+    const fill = d3.scaleSequentialSqrt([0, d3.max(counts.values()) || 1], t => d3.interpolateBlues(0.2 + t * 0.8));
+    const highlighted = new Set((lastClicked?.countries || []).map(mapCountryName));
+    const narrowedTo = countryFilterNames();
+    const narrowed = new Set(narrowedTo.map(mapCountryName));
+
+    d3.select(byId("map")).selectAll(".map-country")
+      .classed("has-events", f => counts.has(f.properties.name))
+      .classed("highlight", f => highlighted.has(f.properties.name))
+      .classed("filtered", f => narrowed.has(f.properties.name))
+      .style("fill", f => (counts.has(f.properties.name) ? fill(counts.get(f.properties.name)) : null))
+      .attr("tabindex", f => (counts.has(f.properties.name) ? 0 : null))
+      .attr("role", f => (counts.has(f.properties.name) ? "button" : null))
+      .attr("aria-label", (f) => {
+        const n = counts.get(f.properties.name);
+        return n ? t("map.count", { country: f.properties.name, n }) : null;
+      })
+      .select("title")
+      .text(f => `${f.properties.name}: ${counts.get(f.properties.name) || 0}`);
+
+    // exact spot of the selected event, when the sheet has coordinates
+    const spot = lastClicked?.coords && filteredData.includes(lastClicked) ? [lastClicked.coords] : [];
+    d3.select(byId("map")).select(".map-marker")
+      .selectAll("circle")
+      .data(spot)
+      .join("circle")
+      .attr("r", 4)
+      .attr("transform", c => `translate(${mapPath.projection()(c)})`);
+
+    const caption = byId("mapCaption");
+    if (caption) {
+      const placed = filteredData.filter(d => d.countries.length).length;
+      caption.textContent = narrowedTo.length
+        ? t("map.showing", { countries: narrowedTo.join(", ") })
+        : t("map.placed", { placed, n: filteredData.length });
+    }
+  }
+
+  // Countries the dropdown is narrowed to ([] when all are on).
+  function countryFilterNames() {
+    const dropdown = byId("countryDropdown");
+    if (!dropdown) return [];
+    const opts = Array.from(dropdown.querySelectorAll(".dropdown-option"));
+    const on = opts.filter(o => o.classList.contains("on"));
+    return on.length === opts.length ? [] : on.map(o => o.dataset.value);
+  }
+
+  // Narrow the country filter to one map country; clicking it again shows all countries.
+  function filterByMapCountry(mapName) {
+    const dropdown = byId("countryDropdown");
+    if (!dropdown) return;
+    const opts = Array.from(dropdown.querySelectorAll(".dropdown-option"));
+    const matches = opts.filter(o => mapCountryName(o.dataset.value) === mapName);
+    if (!matches.length) return;
+
+    const current = countryFilterNames();
+    const alreadyOnly = current.length === matches.length && matches.every(o => current.includes(o.dataset.value));
+    opts.forEach((o) => {
+      const on = alreadyOnly || matches.includes(o);
+      o.classList.toggle("on", on);
+      o.classList.toggle("off", !on);
+    });
+    updateChart();
+  }
+
+  // =============== Deep links (URL state) ===============
+
+  // The view state lives in the hash, e.g.
+  // #cats=chemical,key&topic=syria&q=sarin&from=2013-01-01&to=2018-12-31&event=2013-08-21-ghouta-attack
+  // Omitted keys mean "default" (everything on, full extent, nothing selected).
+  const URL_DATE_FMT = "%Y-%m-%d";
+
+  function readUrlState() {
+    // only the URL-owning timeline restores from the hash; the rest start from defaults
+    const params = new URLSearchParams(syncUrl ? window.location.hash.replace(/^#/, "") : "");
+    const parseDay = d3.timeParse(URL_DATE_FMT);
+    const list = (key) => (params.has(key) ? params.getAll(key).filter(Boolean) : null);
+
+    return {
+      categories: params.has("cats") ? params.get("cats").split(",").filter(Boolean) : null,
+      topics:  list("topic"),
+      sources: list("source"),
+      countries: list("country"),
+      statuses: list("status"),
+      query:   params.get("q") || "",
+      from:    params.has("from") ? parseDay(params.get("from")) : null,
+      to:      params.has("to") ? parseDay(params.get("to")) : null,
+      event:   params.get("event") || null,
+      list:    params.get("view") === "list",
+      lanes:   params.get("lanes") || "",
+      pins:    params.has("pins") ? params.get("pins").split(",").filter(Boolean) : [],
+      lang:    LOCALES[params.get("lang")] ? params.get("lang") : ""
+    };
+  }
+
+  // Topic options are labelled for display; links and the API use the sheet value.
+  function topicValue(label) {
+    const lookup = byId("topicDropdown")?.__valueLookup;
+    return lookup instanceof Map ? lookup.get(label) ?? label : label;
+  }
+
+  // Current legend, dropdown and search state. A null list means "everything selected".
+  function getFilters() {
+    const selected = (dropdownEl, toValue) => {
+      if (!dropdownEl) return null;
+      const opts = Array.from(dropdownEl.querySelectorAll(".dropdown-option"));
+      const on = opts.filter(o => o.classList.contains("on"));
+      if (!opts.length || on.length === opts.length) return null;
+      return on.map(o => toValue(o.dataset.value));
+    };
+    return {
+      categories: allCategoryKeys().filter(k => selectedCats.has(k)),
+      topics:    selected(byId("topicDropdown"), topicValue),
+      sources:   selected(byId("sourceDropdown"), v => v),
+      countries: selected(byId("countryDropdown"), v => v),
+      statuses:  selected(byId("statusDropdown"), v => v),
+      query:     (byId("search")?.value || "").trim()
+    };
+  }
+
+  function serializeUrlState() {
+    const params = new URLSearchParams();
+    const fmtDay = d3.timeFormat(URL_DATE_FMT);
+    const filters = getFilters();
+
+    if (filters.categories.length !== allCategoryKeys().length) params.set("cats", filters.categories.join(","));
+
+    // dropdowns: only written when narrowed; an empty value means "none selected"
+    const addList = (key, values) => {
+      if (!values) return;
+      if (!values.length) params.append(key, "");
+      values.forEach(v => params.append(key, v));
+    };
+    addList("topic", filters.topics);
+    addList("source", filters.sources);
+    addList("country", filters.countries);
+    addList("status", filters.statuses);
+
+    if (filters.query) params.set("q", filters.query);
+
+    if (currentXScale && FULL_EXTENT) {
+      const [d0, d1] = currentXScale.domain();
+      const atFull = +d0 <= +FULL_EXTENT[0] && +d1 >= +FULL_EXTENT[1];
+      if (!atFull) {
+        params.set("from", fmtDay(d0));
+        params.set("to", fmtDay(d1));
+      }
+    }
+
+    if (lastClicked) params.set("event", eventKey(lastClicked));
+    if (pinnedEvents.length) params.set("pins", pinnedEvents.map(eventKey).join(","));
+    if (isListViewOpen()) params.set("view", "list");
+    if (laneMode) params.set("lanes", laneMode);
+    if (locale !== DEFAULT_LOCALE) params.set("lang", locale);
+
+    return params.toString().replace(/%2C/gi, ",").replace(/%3A/gi, ":");
+  }
+
+  function writeUrlState({ push = false } = {}) {
+    if (!syncUrl || !URL_SYNC_READY || URL_SYNC_PAUSED) return;
+    const hash = serializeUrlState();
+    const current = window.location.hash.replace(/^#/, "");
+    if (hash === current) return;
+
+    // typing in the search box fires updateChart() per keystroke: fold bursts into one history entry
+    const now = Date.now();
+    const burst = now - (writeUrlState._lastPush || 0) < 800;
+    const url = `${window.location.pathname}${window.location.search}${hash ? "#" + hash : ""}`;
+    if (push && !burst) {
+      history.pushState(null, "", url);
+      writeUrlState._lastPush = now;
+    } else {
+      history.replaceState(null, "", url);
+      if (push) writeUrlState._lastPush = now;
+    }
+  }
+
+  // Legend categories, dropdown selections and search text, in getFilters() form
+  // (before updateChart()). Keys left undefined keep their current value.
+  function applyFilters(filters) {
+    if (filters.categories !== undefined) selectedCats = new Set(filters.categories ?? allCategoryKeys());
+
+    const setOptions = (dropdownEl, values, toValue) => {
+      if (!dropdownEl || values === undefined) return;
+      const wanted = values ? new Set(values) : null;
+      dropdownEl.querySelectorAll(".dropdown-option").forEach((opt) => {
+        const on = !wanted || wanted.has(toValue(opt.dataset.value));
+        opt.classList.toggle("on", on);
+        opt.classList.toggle("off", !on);
+      });
+    };
+    setOptions(byId("topicDropdown"), filters.topics, topicValue);
+    setOptions(byId("sourceDropdown"), filters.sources, v => v);
+    setOptions(byId("countryDropdown"), filters.countries, v => v);
+    setOptions(byId("statusDropdown"), filters.statuses, v => v);
+
+    const search = byId("search");
+    if (search && filters.query !== undefined) search.value = filters.query ?? "";
+  }
+
+  // Filters plus lane grouping and list view from a shared link.
+  function applyFilterState(state) {
+    applyFilters(state);
+
+    laneMode = LANE_MODES[state.lanes] ? state.lanes : "";
+    const laneSelect = byId("laneSelect");
+    if (laneSelect) laneSelect.value = laneMode;
+
+    const panel = byId("listView");
+    if (panel) {
+      panel.hidden = !state.list;
+      byId("listViewBtn")?.setAttribute("aria-pressed", String(state.list));
+    }
+  }
+
+  // Zoom window and selected event (after updateChart() has drawn the dots).
+  function applyViewState(state) {
+    if (currentXScale && FULL_EXTENT && svg) {
+      const [start, end] = state.from && state.to && +state.from < +state.to
+        ? clampDomain([state.from, state.to], [+FULL_EXTENT[0], +FULL_EXTENT[1]])
+        : FULL_EXTENT;
+      const [d0, d1] = currentXScale.domain();
+      if (+d0 !== +start || +d1 !== +end) setDomainAndRedraw(
+        currentXScale, svg.select(".x-axis"), svg.select(".dots"), filteredData,
+        start, end, { repack: true }
+      );
+    }
+
+    pinnedEvents = state.pins.map(k => rawData.find(d => eventKey(d) === k)).filter(Boolean);
+    pinsChanged({ updateUrl: false });
+
+    const match = state.event ? rawData.find(d => eventKey(d) === state.event) : null;
+    if (match) {
+      selectEvent(match, { updateUrl: false });
+    } else if (lastClicked) {
+      clearSelection({ updateUrl: false });
+    }
+  }
+
+  function clearSelection({ updateUrl = true } = {}) {
+    lastClicked = null;
+    styleDots();
+    syncListSelection();
+    renderMap();
+    d3.select(byId("detailContent")).html(`<p>${t("detail.empty")}</p>`);
+    if (updateUrl) writeUrlState({ push: true });
+    dispatch.call("select", api, null);
+  }
+
+  // =============== Export ===============
+
+  // filteredData, optionally narrowed to events overlapping the visible zoom window.
+  function getExportRows(visibleOnly) {
+    if (!visibleOnly || !currentXScale) return filteredData.slice();
+    const [d0, d1] = currentXScale.domain();
+    return filteredData.filter(d => +d.date <= +d1 && +(d.spanEnd || d.date) >= +d0);
+  }
+
+  function exportFilteredData(format, { visibleOnly = false } = {}) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) return;
+    const rows = getExportRows(visibleOnly).sort((a, b) => a.date - b.date);
+    downloadFile(`timeline-events-${EXPORT_DAY(new Date())}.${spec.ext}`, spec.build(rows, rawColumns), spec.type);
+  }
+
+  // =============== Citations ===============
+
+  let citeStyle = CITATION_STYLES[readCiteStyle()] ? readCiteStyle() : "apa";
+  let citeOpen = false;  // keep the detail panel's "Cite" box open across re-renders
+
+  // Link that reopens the event (only the URL-owning timeline restores #event=).
+  function eventPermalink(d) {
+    const page = window.location.href.split("#")[0];
+    return syncUrl ? `${page}#event=${encodeURIComponent(eventKey(d))}` : page;
+  }
+
+  function setCiteStyle(style) {
+    if (!CITATION_STYLES[style]) return;
+    citeStyle = style;
+    root.querySelectorAll(".cite-style").forEach(el => { el.value = style; });
+    try { localStorage.setItem(CITE_STORAGE_KEY, style); } catch (_) { /* storage blocked */ }
+  }
+
+  function copyWithStatus(text, statusEl, field, done = t("cite.copied")) {
+    copyText(text, field)
+      .then(() => {
+        if (statusEl) statusEl.textContent = done;
+      })
+      .catch(() => {
+        if (statusEl) statusEl.textContent = t("cite.copyFailed");
+        field?.select();
+      });
+  }
+
+  function citeBoxHtml() {
+    return `
+      <details class="cite-box"${citeOpen ? " open" : ""}>
+        <summary>${t("cite.button")}</summary>
+        <label><span>${t("cite.style")}</span>
+          <select class="cite-style">${citeStyleOptions()}</select>
+        </label>
+        <textarea class="cite-text" rows="5" readonly aria-label="${t("cite.text")}"></textarea>
+        <button type="button" class="cite-copy">${t("cite.copy")}</button>
+        <span class="cite-status" role="status"></span>
+      </details>`;
+  }
+
+  function bindCiteBox(d) {
+    const box = byId("detailContent")?.querySelector(".cite-box");
+    if (!box) return;
+    const field = box.querySelector(".cite-text");
+    const status = box.querySelector(".cite-status");
+    box.querySelector(".cite-style").value = citeStyle;
+    const fill = () => {
+      field.value = CITATION_STYLES[citeStyle].format(citationFields(d, { permalink: eventPermalink(d), site: config.citation }));
+      status.textContent = "";
+    };
+    fill();
+    box.addEventListener("toggle", () => { citeOpen = box.open; });
+    box.querySelector(".cite-style").addEventListener("change", (e) => {
+      setCiteStyle(e.target.value);
+      fill();
+    });
+    box.querySelector(".cite-copy").addEventListener("click", () => copyWithStatus(field.value, status, field));
+  }
+
+  // Reference list for the filtered events (the export menu's "visible range only" applies).
+  function citeFilteredData(action, { visibleOnly = false } = {}) {
+    const rows = getExportRows(visibleOnly);
+    const status = byId("bibliographyStatus");
+    if (!rows.length) {
+      if (status) status.textContent = t("cite.nothing");
+      return;
+    }
+    const spec = CITATION_STYLES[citeStyle];
+    const text = formatBibliography(rows, citeStyle, { permalinkFor: eventPermalink, site: config.citation });
+    if (action === "download") {
+      downloadFile(`timeline-bibliography-${EXPORT_DAY(new Date())}.${spec.ext}`, text, spec.type);
+      return;
+    }
+    copyWithStatus(text, status, null, t("cite.copiedAll", { n: rows.length }));
+  }
+
+  // One-line description of the active legend, dropdown, search and zoom state.
+  function describeFilters() {
+    const parts = [];
+    const fmt = d3.timeFormat(t("date.dayShort"));
+
+    const cats = [...categories.keys()].filter(k => selectedCats.has(k));
+    parts.push(t("summary.categories", { list: cats.length ? cats.map(categoryName).join(", ") : t("summary.none") }));
+    if (!selectedCats.has("key")) parts.push(t("summary.keyHidden"));
+
+    const countOn = (id, label, name = v => v) => {
+      const el = byId(id);
+      const all = el ? el.querySelectorAll(".dropdown-option").length : 0;
+      const on = getSelectedValues(el);
+      if (all && on.length !== all) {
+        parts.push(on.length <= 3
+          ? t("summary.values", { label, values: on.map(name).join(", ") || t("summary.none") })
+          : t("summary.some", { label, on: on.length, all }));
+      }
+    };
+    countOn("topicDropdown", t("summary.topics"));
+    countOn("sourceDropdown", t("summary.sources"));
+    countOn("countryDropdown", t("summary.countries"));
+    countOn("statusDropdown", t("summary.status"), statusName);
+
+    const q = (byId("search")?.value || "").trim();
+    if (q) parts.push(t("summary.search", { q }));
+
+    if (currentXScale) {
+      const [d0, d1] = currentXScale.domain();
+      parts.push(`${fmt(d0)} – ${fmt(d1)}`);
+    }
+    parts.push(t("agg.events", { n: filteredData.length }));
+    return parts.join(" · ");
+  }
+
+  // Standalone SVG of the current view with title, filter summary and attribution.
+  function buildChartSvg({ title = "" } = {}) {
+    const src = svg.node();
+    const [, , w, h] = (src.getAttribute("viewBox") || `0 0 ${width} ${getTotalHeight()}`).split(/\s+/).map(Number);
+    const pad = 16;
+    const titleH = title ? 28 : 0;
+    const headerH = pad + titleH + 18;
+    const footerH = 28;
+    const totalH = headerH + h + footerH;
+
+    const out = document.createElementNS(SVG_NS, "svg");
+    out.setAttribute("width", w);
+    out.setAttribute("height", totalH);
+    out.setAttribute("viewBox", `0 0 ${w} ${totalH}`);
+
+    const text = (str, x, y, size, attrs = {}) => {
+      const t = document.createElementNS(SVG_NS, "text");
+      t.setAttribute("x", x);
+      t.setAttribute("y", y);
+      t.setAttribute("font-family", "sans-serif");
+      t.setAttribute("font-size", size);
+      Object.entries(attrs).forEach(([k, v]) => t.setAttribute(k, v));
+      t.textContent = str;
+      out.appendChild(t);
+    };
+
+    const bg = document.createElementNS(SVG_NS, "rect");
+    bg.setAttribute("width", w);
+    bg.setAttribute("height", totalH);
+    bg.setAttribute("fill", themeColors.bg);
+    out.appendChild(bg);
+
+    if (title) text(title, pad, pad + 18, 18, { "font-weight": "bold", fill: themeColors.fg });
+    text(describeFilters(), pad, pad + titleH + 10, 11, { fill: themeColors.muted });
+
+    const chart = src.cloneNode(true);
+    inlineComputedStyles(src, chart);
+    if (canvasView) {
+      // canvas pixels don't survive cloning; embed them as an image instead
+      chart.querySelectorAll(".dot-canvas, .dot-proxy").forEach(n => n.remove());
+      const image = document.createElementNS(SVG_NS, "image");
+      image.setAttribute("width", w);
+      image.setAttribute("height", h);
+      image.setAttribute("href", canvasView.canvas.toDataURL("image/png"));
+      chart.querySelector(".dots")?.appendChild(image);
+    }
+    chart.removeAttribute("id");
+    chart.removeAttribute("style");
+    chart.setAttribute("x", 0);
+    chart.setAttribute("y", headerH);
+    chart.setAttribute("width", w);
+    chart.setAttribute("height", h);
+    out.appendChild(chart);
+
+    const exported = t("export.exported", { date: formatDate(new Date()) });
+    text(`${t("export.attribution")} · ${exported}`, pad, totalH - 10, 10, { fill: themeColors.muted });
+
+    return { markup: new XMLSerializer().serializeToString(out), width: w, height: totalH };
+  }
+
+  function exportChartImage(format, { title = "", scale = 2 } = {}) {
+    if (!svg) return;
+    const { markup, width: w, height: h } = buildChartSvg({ title });
+    const name = `timeline-chart-${EXPORT_DAY(new Date())}`;
+
+    if (format === "svg") {
+      downloadFile(`${name}.svg`, `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`, "image/svg+xml");
+      return;
+    }
+    svgToPngBlob(markup, w, h, scale)
+      .then(blob => downloadBlob(`${name}.png`, blob))
+      .catch(err => console.error("PNG export failed:", err));
+  }
+
+  function setupExport() {
+    const menu = byId("exportMenu");
+    if (!menu || menu.__bound) return;
+    menu.__bound = true;
+
+    menu.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-export], button[data-export-image], button[data-bibliography]");
+      if (!btn) return;
+      if (btn.dataset.exportImage) {
+        exportChartImage(btn.dataset.exportImage, {
+          title: (byId("exportTitle")?.value || "").trim(),
+          scale: +(byId("exportScale")?.value || 2)
+        });
+        return;
+      }
+      const visibleOnly = !!byId("exportVisibleOnly")?.checked;
+      if (btn.dataset.bibliography) {
+        citeFilteredData(btn.dataset.bibliography, { visibleOnly });
+        return;
+      }
+      exportFilteredData(btn.dataset.export, { visibleOnly });
+    });
+    const styleSelect = menu.querySelector(".cite-style");
+    if (styleSelect) {
+      styleSelect.value = citeStyle;
+      styleSelect.addEventListener("change", (e) => setCiteStyle(e.target.value));
+    }
+  }
+
+  // =============== Misc (audit) ===============
+
+  // Devtools check: how many filtered events the zoom hides. api.auditZoomClipping(), or
+  // auditZoomClipping() in the console with ?debug=1.
+  function auditZoomClipping() {
+    if (!currentXScale) {
+      console.warn("No x scale yet.");
+      return;
+    }
+    const [d0, d1] = currentXScale.domain();
+
+    const outside = filteredData.filter(d => d.date < d0 || d.date > d1);
+    const inside = filteredData.length - outside.length;
+
+    console.table({
+      totalFiltered: filteredData.length,
+      visibleInDomain: inside,
+      clippedByZoom: outside.length
+    });
+
+    return outside;
+  }
+
+  // =============== Detail panel collapse, controls hamburger, tour (unchanged) ===============
+
+  // --- Detail View roll-up toggle: restore the saved state ---
+  function setupDetailToggle() {
+    const STORAGE_KEY = "detailViewCollapsed";
+    const panel = byId("detailView");
+    const btn   = byId("detailToggleBtn");
+    if (!panel || !btn) return;
+
+    const collapsed = localStorage.getItem(STORAGE_KEY) === "true";
+    panel.classList.toggle("collapsed", collapsed);
+    btn.setAttribute("aria-expanded", String(!collapsed));
+    panel.setAttribute("aria-expanded", String(!collapsed));
+  }
+
+  // =============== Instance API ===============
+
+  const api = {
+    root,
+
+    // on("select" | "filterchange" | "zoom", fn); "type.name" namespaces as in d3.dispatch
+    on(type, fn) {
+      dispatch.on(type, fn);
+      return api;
+    },
+
+    getFilters,
+
+    // Partial updates: setFilters({ query: "sarin" }) leaves the other filters alone.
+    setFilters(filters = {}) {
+      if (destroyed) return api;
+      applyFilters(filters);
+      updateChart();
+      return api;
+    },
+
+    zoomTo(from, to) {
+      if (destroyed || !currentXScale || !FULL_EXTENT) return api;
+      const [start, end] = clampDomain([new Date(from), new Date(to)], [+FULL_EXTENT[0], +FULL_EXTENT[1]]);
+      setDomainAndRedraw(currentXScale, svg.select(".x-axis"), svg.select(".dots"), filteredData,
+        start, end, { repack: true });
+      return api;
+    },
+
+    auditZoomClipping,
+
+    // Select by eventKey() (the "key" in event payloads); null clears the selection.
+    select(key) {
+      if (destroyed) return api;
+      const match = key == null ? null : rawData.find(d => eventKey(d) === key);
+      if (match) selectEvent(match);
+      else if (key == null && lastClicked) clearSelection();
+      return api;
+    },
+
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      teardown.abort();
+      localeListeners.delete(onLocaleChange);
+      themeListeners.delete(onThemeChange);
+      if (urlStateOwner === root) urlStateOwner = null;
+      clearTimeout(resizeChart._timer);
+      clearTimeout(setDomainAndRedraw._urlTimer);
+      clearTimeout(requestRepack._timer);
+      clearTimeout(announceResultCount._timer);
+      clearTimeout(notifyZoom._timer);
+      stopCanvasTween();
+      layoutWorker?.terminate();
+      d3.select("body").select(".tooltip").style("opacity", 0).style("display", "none");
+      if (tourRoot === root) endTour();
+      root.innerHTML = "";
+      root.classList.remove("timeline");
+      dispatch.on(".", null);
+    }
+  };
+
+  // Resolves with the api once the data is loaded and drawn.
+  api.ready = localeReady.then(init).then(() => api);
+  if (DEBUG) window.auditZoomClipping = auditZoomClipping;
+  return api;
+}
+
+// =============== Boot ===============
+
+// DOM ready & d3 available
+function when(cond, timeout = 10000, every = 25) {
+  return new Promise((resolve, reject) => {
+    const t0 = Date.now();
+    const id = setInterval(() => {
+      if (cond()) { clearInterval(id); resolve(); }
+      else if (Date.now() - t0 > timeout) { clearInterval(id); reject(new Error("timeout")); }
+    }, every);
+  });
+}
+function whenDomReady() {
+  return new Promise((res) => {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => res(), { once: true });
+    } else res();
+  });
+}
+// The theme applies at once, so the page doesn't flash light before a dark theme.
+setTheme(detectTheme(), { redraw: false, save: false });
+watchSystemScheme();
+
+// Every timeline waits for the page's language before drawing.
+const localeReady = whenDomReady()
+  .then(() => when(() => window.d3 && d3.csv))
+  .then(() => setLocale(detectLocale(), { redraw: false }));
+
+// <div data-timeline data-src="..."></div> gets a timeline without any script.
+whenDomReady().then(() => {
+  document.querySelectorAll("[data-timeline]").forEach((el) => {
+    createTimeline(el).ready.catch((e) => console.error("Startup failed:", e));
+  });
+});
@@ -0,0 +1,22 @@
+// =========================
+// Beeswarm layout worker
+// =========================
+// Packs dots off the main thread. Keep simulateBeeswarm() in sync with the copy in app.js.
+
+importScripts("https://cdn.jsdelivr.net/npm/d3@7/dist/d3.min.js");
+
+// nodes: [{ px, py, x?, y? }] -> [[x, y], ...]
+function simulateBeeswarm(nodes, r, ticks) {
+  const simulation = d3.forceSimulation(nodes)
+    .force("x", d3.forceX(d => d.px).strength(1))
+    .force("y", d3.forceY(d => d.py))
+    .force("collide", d3.forceCollide(r + 1))
+    .stop();
+  for (let i = 0; i < ticks; i++) simulation.tick();
+  return nodes.map(n => [n.x, n.y]);
+}
+
+self.onmessage = ({ data }) => {
+  const { id, nodes, radius, ticks } = data;
+  self.postMessage({ id, positions: simulateBeeswarm(nodes, radius, ticks) });
+};
@@ -0,0 +1,54 @@
+// Search query parser checks (Node 18+):
+//
+//   node --test tools/
+//
+// scripts/app.js is a browser script; it runs here against inert stand-ins for d3 and
+// the DOM, which is enough for the pure query functions.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import vm from "node:vm";
+
+const inert = new Proxy(function () {}, {
+  get: (_, key) => (key === Symbol.toPrimitive ? () => "" : key === Symbol.iterator ? function* () {} : inert),
+  apply: () => inert,
+  construct: () => inert
+});
+
+const context = vm.createContext({
+  d3: inert, window: inert, document: inert, localStorage: inert, location: inert,
+  navigator: { languages: ["en"] },
+  setTimeout: () => 0, clearTimeout() {}, setInterval: () => 0, clearInterval() {},
+  console, Intl, URL, URLSearchParams
+});
+vm.runInContext(await readFile(new URL("../scripts/app.js", import.meta.url), "utf8"), context);
+const compileSearchQuery = vm.runInContext("compileSearchQuery", context);
+
+const event = (fields) => ({ event: "", notes: "", validTopics: [], sourceNames: [], countries: [], ...fields });
+
+test("a pasted URL is free text, not an unknown field", () => {
+  const query = compileSearchQuery("https://example.org/report");
+  assert.deepEqual([...query.terms], ["https://example.org/report"]);
+  assert.equal(query.hint, "");
+  assert.ok(query.test(event({ notes: "See https://example.org/report for details" })));
+  assert.ok(!query.test(event({ notes: "See https://example.org/other" })));
+});
+
+test("a title with a colon is free text", () => {
+  const query = compileSearchQuery("Operation X: aftermath");
+  assert.ok(query.test(event({ event: "Operation X: aftermath" })));
+});
+
+test("a prefix close to a field still searches, with a hint", () => {
+  const query = compileSearchQuery("topc:sarin");
+  assert.match(query.hint, /topic:/);
+  assert.ok(query.test(event({ notes: "topc:sarin" })));
+});
+
+test("known fields are still fields", () => {
+  const query = compileSearchQuery("topic:sarin");
+  assert.equal(query.hint, "");
+  assert.ok(query.test(event({ validTopics: ["sarin"] })));
+  assert.ok(!query.test(event({ notes: "topic:sarin" })));
+});
@@ -0,0 +1,44 @@
+// Refreshes data/snapshot.json from the published sheet (Node 18+).
+//
+//   node tools/update-snapshot.mjs [csv-url]
+//
+// The page falls back to this file when the live sheet cannot be reached.
+
+import { writeFile, mkdir } from "node:fs/promises";
+
+const DEFAULT_URL = "https://docs.google.com/spreadsheets/d/e/2PACX-1vSavU5klATPLFcSRUkwYtIaZStNUpyQ03tDJrP4110ckYNpkSeEY-X78QWQLFXr4seeYZr0H7mwZ6Fk/pub?gid=0&single=true&output=csv";
+const OUT = new URL("../data/snapshot.json", import.meta.url);
+
+// Minimal RFC 4180 parser (quoted fields, doubled quotes, CRLF).
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const [header, ...body] = rows;
+  return body
+    .filter(r => r.some(Boolean))
+    .map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ""])));
+}
+
+const url = process.argv[2] || DEFAULT_URL;
+const res = await fetch(url);
+if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${url}`);
+
+const rows = parseCsv(await res.text());
+await mkdir(new URL(".", OUT), { recursive: true });
+await writeFile(OUT, JSON.stringify({ updated: new Date().toISOString(), rows }, null, 1) + "\n");
+console.log(`Wrote ${rows.length} rows to ${OUT.pathname}`);